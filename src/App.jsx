@@ -9,40 +9,42 @@ import MatchupSimulator from "./components/MatchupSimulator";
 import VideoTagger from "./components/VideoTagger";
 import ClipsLibrary from "./components/ClipsLibrary";
 import Modal from "./components/Modal";
+import LibraryBackup from "./components/LibraryBackup";
+import StoragePanel from "./components/StoragePanel";
+import IntegrityChecker from "./components/IntegrityChecker";
 import WebCodecsTest from "./components/WebCodecsTest"; // ✅ Added
 import logo from "/swing-sync-logo.png";
-import { deleteAllClips } from "./utils/dataModel";
+import {
+  deleteAllClips,
+  initDB,
+  loadRoster,
+  saveRoster,
+  isQuotaError,
+  subscribeMigrationProgress,
+} from "./utils/dataModel";
+import {
+  formatBytes,
+  getStorageEstimate,
+  STORAGE_WARN_RATIO,
+} from "./utils/storageUsage";
 
 import {
   createHitter,
   findHitter,
   createPitcher,
   findPitcher,
+  findById,
   deletePitchClip,
   deleteSwingClip,
   deleteMatchupClip,
   getPitchClipBlob,
   getSwingClipBlob,
+  DEFAULT_FPS,
 } from "./utils/dataModel";
+import { detectFrameRate } from "./utils/clipExtractor";
 
-const FPS = 30;
-const LS_STATE_KEY = "SwingSync.state";
-
-// ---------- Storage ----------
-function loadAppState() {
-  try {
-    const raw = localStorage.getItem(LS_STATE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-}
-function saveAppState(slices) {
-  try {
-    localStorage.setItem(LS_STATE_KEY, JSON.stringify(slices));
-  } catch {}
-}
+// Fallback only — uploads and saved clips carry their own detected rate.
+const FPS = DEFAULT_FPS;
 
 // ---------- Main ----------
 export default function App() {
@@ -54,10 +56,14 @@ export default function App() {
   const [hydrated, setHydrated] = useState(false);
   const [matchups, setMatchups] = useState([]);
   const [openModal, setOpenModal] = useState(null);
+  const [migration, setMigration] = useState(null);
+  const [storageWarning, setStorageWarning] = useState("");
 
   const [videoOpen, setVideoOpen] = useState(false);
   const [activeVideoSource, setActiveVideoSource] = useState(null);
   const [activeVideoLabel, setActiveVideoLabel] = useState("");
+  const [activeVideoFps, setActiveVideoFps] = useState(FPS);
+  const fpsRequestRef = useRef(0); // ignore detections for videos that were replaced
   const currentObjectUrlRef = useRef(null);
 
   const [swingTagStart, setSwingTagStart] = useState(null);
@@ -67,25 +73,75 @@ export default function App() {
     setSwingTagContact(null);
   }, []);
 
-  // ---------- Load + Save ----------
+  // ---------- DB schema upgrade ----------
   useEffect(() => {
-    const loaded = loadAppState();
-    if (loaded) {
-      setHitters(loaded.hitters || []);
-      setPitchers(loaded.pitchers || []);
-      setSwings(loaded.swings || []);
-      setPitches(loaded.pitches || []);
-      setTeams(loaded.teams || []);
-      setMatchups(loaded.matchups || []);
-    }
-    setHydrated(true);
+    const unsubscribe = subscribeMigrationProgress((ev) => {
+      if (ev.phase === "done") setMigration(null);
+      else setMigration(ev);
+    });
+    initDB().catch((err) => {
+      console.error("Failed to open clip database:", err);
+      setMigration({ phase: "error", error: err });
+    });
+    return unsubscribe;
   }, []);
 
+  // ---------- Load + Save ----------
+  const applyRoster = useCallback((loaded) => {
+    setHitters(loaded.hitters || []);
+    setPitchers(loaded.pitchers || []);
+    setSwings(loaded.swings || []);
+    setPitches(loaded.pitches || []);
+    setTeams(loaded.teams || []);
+    setMatchups(loaded.matchups || []);
+  }, []);
+
+  // After a library import the DB is ahead of state; pull it back in.
+  const reloadRoster = useCallback(async () => {
+    applyRoster(await loadRoster());
+  }, [applyRoster]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRoster()
+      .then((loaded) => {
+        if (cancelled) return;
+        applyRoster(loaded);
+        setHydrated(true);
+      })
+      // Stay un-hydrated on failure so an empty state never overwrites the DB.
+      .catch((err) => console.error("Failed to load roster:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [applyRoster]);
+
   useEffect(() => {
     if (!hydrated) return;
-    saveAppState({ hitters, pitchers, swings, pitches, teams, matchups });
+    saveRoster({ hitters, pitchers, swings, pitches, teams, matchups }).catch((err) => {
+      console.error("Failed to save roster:", err);
+      if (isQuotaError(err)) setStorageWarning(err.message);
+    });
   }, [hydrated, hitters, pitchers, swings, pitches, teams, matchups]);
 
+  // Warn before saves start failing; re-checked whenever the library changes.
+  useEffect(() => {
+    if (!hydrated) return;
+    getStorageEstimate()
+      .then((est) => {
+        if (est && est.ratio >= STORAGE_WARN_RATIO) {
+          setStorageWarning(
+            `Browser storage is ${Math.round(est.ratio * 100)}% full (${formatBytes(
+              est.usage
+            )} of ${formatBytes(est.quota)}). Open Storage to free space.`
+          );
+        } else {
+          setStorageWarning("");
+        }
+      })
+      .catch(() => {});
+  }, [hydrated, swings, pitches, matchups]);
+
   // ---------- Video ----------
   const revokeIfNeeded = useCallback(() => {
     if (currentObjectUrlRef.current) {
@@ -98,8 +154,15 @@ export default function App() {
   useEffect(() => () => revokeIfNeeded(), [revokeIfNeeded]);
 
   const requestLoadVideoInTagger = useCallback(
-    (source, label = "") => {
+    (source, label = "", fps = null) => {
       setActiveVideoLabel(label || "");
+      setActiveVideoFps(fps || FPS);
+      const request = ++fpsRequestRef.current;
+      if (!fps && source instanceof Blob) {
+        detectFrameRate(source).then((rate) => {
+          if (rate && request === fpsRequestRef.current) setActiveVideoFps(rate);
+        });
+      }
 
       if (!source) {
         revokeIfNeeded();
@@ -151,12 +214,13 @@ export default function App() {
     return true;
   };
 
-  const addSwing = (hitterName, swingData) => {
-    setSwings([...swings, { hitterName, ...swingData }]);
+  // Swing/pitch records come back from saveSwingClip/savePitchClip with their id.
+  const addSwing = (swing) => {
+    setSwings((prev) => [...prev.filter((s) => s.id !== swing.id), swing]);
   };
 
-  const addPitch = (pitcherName, pitchData) => {
-    setPitches([...pitches, { pitcherName, ...pitchData }]);
+  const addPitch = (pitch) => {
+    setPitches((prev) => [...prev.filter((p) => p.id !== pitch.id), pitch]);
   };
 
   const addTeam = (name, description = "") => {
@@ -169,19 +233,19 @@ export default function App() {
   const deleteTeam = (name) =>
     setTeams(teams.filter((t) => t.name !== name));
 
-  const deleteHitter = (name) => {
-    setHitters(hitters.filter((h) => h.name !== name));
-    setSwings(swings.filter((s) => s.hitterName !== name));
+  const deleteHitter = (hitterId) => {
+    setHitters(hitters.filter((h) => h.id !== hitterId));
+    setSwings(swings.filter((s) => s.hitterId !== hitterId));
   };
 
-  const deletePitcher = (name) => {
-    setPitchers(pitchers.filter((p) => p.name !== name));
-    setPitches(pitches.filter((pt) => pt.pitcherName !== name));
+  const deletePitcher = (pitcherId) => {
+    setPitchers(pitchers.filter((p) => p.id !== pitcherId));
+    setPitches(pitches.filter((pt) => pt.pitcherId !== pitcherId));
   };
 
   const deleteSwingItem = useCallback(
-    async (globalIndex) => {
-      const target = swings[globalIndex];
+    async (swingId) => {
+      const target = findById(swings, swingId);
       if (!target) return;
 
       if (target.videoKey) {
@@ -192,15 +256,14 @@ export default function App() {
         }
       }
 
-      setSwings((prev) => prev.filter((_, idx) => idx !== globalIndex));
+      setSwings((prev) => prev.filter((s) => s.id !== swingId));
     },
     [swings]
   );
 
   const deletePitchItem = useCallback(
-    async (pitcherName, filteredIndex) => {
-      const list = pitches.filter((p) => p.pitcherName === pitcherName);
-      const target = list[filteredIndex];
+    async (pitchId) => {
+      const target = findById(pitches, pitchId);
       if (!target) return;
 
       if (target.videoKey) {
@@ -211,28 +274,30 @@ export default function App() {
         }
       }
 
-      let count = -1;
-      setPitches((prev) =>
-        prev.filter((p) => {
-          if (p.pitcherName !== pitcherName) return true;
-          count++;
-          return count !== filteredIndex;
-        })
-      );
+      setPitches((prev) => prev.filter((p) => p.id !== pitchId));
     },
     [pitches]
   );
 
+  // Edits keep the record's id and videoKey; matchups pointing at it stay linked.
+  const updateSwingItem = useCallback((swingId, fields) => {
+    setSwings((prev) => prev.map((s) => (s.id === swingId ? { ...s, ...fields } : s)));
+  }, []);
+
+  const updatePitchItem = useCallback((pitchId, fields) => {
+    setPitches((prev) => prev.map((p) => (p.id === pitchId ? { ...p, ...fields } : p)));
+  }, []);
+
   const deleteMatchupItem = useCallback(
-    async (index) => {
+    async (matchupId) => {
       setMatchups((prev) => {
-        const target = prev[index];
+        const target = findById(prev, matchupId);
         if (target?.videoKey) {
           deleteMatchupClip(target.videoKey).catch((e) =>
             console.warn("Failed to delete matchup clip", target.videoKey, e)
           );
         }
-        return prev.filter((_, i) => i !== index);
+        return prev.filter((m) => m.id !== matchupId);
       });
     },
     []
@@ -257,6 +322,46 @@ export default function App() {
         style={{ height: 100, marginBottom: 20 }}
       />
 
+      {migration && (
+        <div
+          style={{
+            marginBottom: 12,
+            padding: "6px 12px",
+            borderRadius: 4,
+            fontSize: 13,
+            background: migration.phase === "error" ? "#fdd" : "#ffd",
+          }}
+        >
+          {migration.phase === "error" &&
+            `Clip library upgrade failed: ${migration.error?.message || "unknown error"}. Your clips were not changed.`}
+          {migration.phase === "blocked" &&
+            "Clip library upgrade is waiting — close other SwingSync tabs."}
+          {migration.phase === "start" &&
+            `Upgrading clip library (v${migration.from} → v${migration.to})…`}
+          {migration.phase === "step" &&
+            `Upgrading clip library (step ${migration.step}/${migration.total}): ${
+              migration.detail || migration.description
+            }`}
+        </div>
+      )}
+
+      {storageWarning && (
+        <div
+          style={{
+            marginBottom: 12,
+            padding: "6px 12px",
+            borderRadius: 4,
+            fontSize: 13,
+            background: "#fdd",
+          }}
+        >
+          {storageWarning}{" "}
+          <button onClick={() => setOpenModal("storage")} style={{ fontSize: 12 }}>
+            Storage
+          </button>
+        </div>
+      )}
+
       {/* Menu Container */}
       <div className="menu-container">
         <button onClick={() => setOpenModal("matchup")}>Matchup Simulator</button>
@@ -266,6 +371,9 @@ export default function App() {
         <button onClick={() => setOpenModal("pitchers")}>Pitchers</button>
         <button onClick={() => setOpenModal("teams")}>Teams</button>
         <button onClick={() => setOpenModal("clips")}>Clips Library</button>
+        <button onClick={() => setOpenModal("backup")}>Backup</button>
+        <button onClick={() => setOpenModal("storage")}>Storage</button>
+        <button onClick={() => setOpenModal("integrity")}>Check Library</button>
 
         {/* Hidden but still defined */}
         <button onClick={() => setVideoOpen(true)} style={{ display: "none" }}>
@@ -392,13 +500,41 @@ export default function App() {
           pitchers={pitchers}
           pitches={pitches}
           matchups={matchups}
-          requestLoadVideoInTagger={requestLoadVideoInTagger}
           onDeleteSwing={deleteSwingItem}
           onDeletePitch={deletePitchItem}
           onDeleteMatchup={deleteMatchupItem}
+          onUpdateSwing={updateSwingItem}
+          onUpdatePitch={updatePitchItem}
         />
       </Modal>
 
+      {/* Backup */}
+      <Modal
+        open={openModal === "backup"}
+        onClose={() => setOpenModal(null)}
+        title="Backup & Restore"
+      >
+        <LibraryBackup onImported={reloadRoster} />
+      </Modal>
+
+      {/* Storage */}
+      <Modal
+        open={openModal === "storage"}
+        onClose={() => setOpenModal(null)}
+        title="Storage"
+      >
+        <StoragePanel onDeleteMatchup={deleteMatchupItem} />
+      </Modal>
+
+      {/* Integrity check */}
+      <Modal
+        open={openModal === "integrity"}
+        onClose={() => setOpenModal(null)}
+        title="Check Library"
+      >
+        <IntegrityChecker onRepaired={reloadRoster} />
+      </Modal>
+
       {/* Video modal */}
       <Modal
         open={videoOpen}
@@ -424,7 +560,7 @@ export default function App() {
           <VideoTagger
             source={activeVideoSource}
             metadata={{ label: activeVideoLabel }}
-            fps={FPS}
+            fps={activeVideoFps}
             onTagSwing={({ startFrame, contactFrame }) => {
               if (startFrame != null) setSwingTagStart(startFrame);
               if (contactFrame != null) setSwingTagContact(contactFrame);
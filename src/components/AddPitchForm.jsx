@@ -1,111 +1,64 @@
 // src/components/AddPitchForm.jsx
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect } from "react";
 import VideoTagger from "./VideoTagger";
-import { savePitchClip } from "../utils/dataModel";
-
-/* ---------- FRAME CAPTURE (MP4 OUTPUT, EXACT 60 FRAMES) ---------- */
-async function captureFrames(file, contactFrame, FPS) {
-  console.log("[captureFrames] MP4 deterministic capture start");
-
-  const totalFrames = FPS * 2; // 60 frames @ 30fps
-  const endFrame = contactFrame;
-  const startFrame = Math.max(0, endFrame - totalFrames + 1);
-  const startTimeSec = startFrame / FPS;
-  const frameStep = 1 / FPS;
-
-  console.log(
-    `[captureFrames] start=${startFrame}, end=${endFrame}, total=${totalFrames} frames (${(
-      totalFrames / FPS
-    ).toFixed(2)}s)`
-  );
-
-  return new Promise((resolve, reject) => {
-    const video = document.createElement("video");
-    video.src = URL.createObjectURL(file);
-    video.crossOrigin = "anonymous";
-    video.muted = true;
-    video.playsInline = true;
-    video.preload = "auto";
-
-    video.onloadedmetadata = async () => {
-      const w = video.videoWidth;
-      const h = video.videoHeight;
-      const canvas = document.createElement("canvas");
-      canvas.width = w;
-      canvas.height = h;
-      const ctx = canvas.getContext("2d");
-
-      const mp4Mime = "video/mp4;codecs=avc1.42E01E";
-      const fallbackMime = "video/webm;codecs=vp9";
-      const mimeType = MediaRecorder.isTypeSupported(mp4Mime)
-        ? mp4Mime
-        : fallbackMime;
-
-      const chunks = [];
-      const rec = new MediaRecorder(canvas.captureStream(FPS), {
-        mimeType,
-        videoBitsPerSecond: 10_000_000,
-      });
-
-      rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
-      rec.onstop = () => {
-        const blob = new Blob(chunks, { type: mimeType });
-        console.log(`[captureFrames] ✅ recorded ${blob.size} bytes as ${mimeType}`);
-        if (blob.size < 512) reject(new Error("Empty output"));
-        else resolve({ blob });
-      };
-
-      rec.start();
-      console.log(`[captureFrames] recording exactly ${totalFrames} frames…`);
-
-      let frameIndex = 0;
-      const drawNext = () => {
-        if (frameIndex >= totalFrames) {
-          // allow the last frame to fully render
-          setTimeout(() => rec.stop(), 500);
-          return;
-        }
-
-        const t = startTimeSec + frameIndex * frameStep;
-        video.currentTime = t;
-        video.onseeked = () => {
-          if (video.readyState < 4) {
-            requestAnimationFrame(drawNext);
-            return;
-          }
-          ctx.drawImage(video, 0, 0, w, h);
-          frameIndex++;
-          setTimeout(() => requestAnimationFrame(drawNext), 1000 / FPS);
-        };
-      };
-
-      drawNext();
-    };
-
-    video.onerror = () => reject(new Error("Video load failed"));
-  });
-}
+import CaptureRateSelect from "./CaptureRateSelect";
+import PitchEventList from "./PitchEventList";
+import {
+  savePitchClip,
+  saveSourceVideo,
+  findById,
+  tagRealMs,
+  pitchEventsInOrder,
+  DEFAULT_FPS,
+} from "../utils/dataModel";
+import { loadSettings } from "../utils/settings";
+import { detectFrameRate } from "../utils/clipExtractor";
+import { captureTimeRange, pitchEventWindow } from "../utils/captureFrames";
 
 /* ---------- COMPONENT ---------- */
 export default function AddPitchForm({
   pitchers,
   onAddPitch,
-  constants = { FPS: 30 },
+  constants = { FPS: DEFAULT_FPS },
   onClose,
 }) {
-  const FPS = Number(constants?.FPS) || 30;
+  // Used only when the file's own frame rate can't be read.
+  const fallbackFps = Number(constants?.FPS) || DEFAULT_FPS;
   const [selectedPitcher, setSelectedPitcher] = useState("");
   const [file, setFile] = useState(null);
   const [videoUrl, setVideoUrl] = useState(null);
   const [description, setDescription] = useState("");
   const [contactFrame, setContactFrame] = useState(null);
+  const [contactTime, setContactTime] = useState(null); // exact presentation timestamp
+  // Optional delivery events (first movement … release): { [id]: { frame, time } }.
+  const [events, setEvents] = useState({});
   const [error, setError] = useState("");
   const [busy, setBusy] = useState(false);
+  // Native rate of the chosen file; tagging waits for it since frame numbers depend on it.
+  const [FPS, setFPS] = useState(null);
+  // Camera rate for slow-motion files; null when the file plays in real time.
+  const [captureRate, setCaptureRate] = useState(null);
+  const timing = { fps: FPS, captureFps: captureRate };
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    detectFrameRate(file).then((rate) => {
+      if (!cancelled) setFPS(rate || fallbackFps);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, fallbackFps]);
 
   const onChangeFile = useCallback((e) => {
     const f = e.target.files?.[0] || null;
     setFile(f);
+    setFPS(null);
+    setCaptureRate(null);
     setContactFrame(null);
+    setContactTime(null);
+    setEvents({});
     setVideoUrl(f ? URL.createObjectURL(f) : null);
     setError("");
   }, []);
@@ -118,24 +71,51 @@ export default function AddPitchForm({
       setError("Please select pitcher, choose video, and tag contact frame.");
       return;
     }
+    if (!pitchEventsInOrder({ ...timing, events, contactFrame, contactTime })) {
+      setError("Delivery events must be in order and before plate arrival.");
+      return;
+    }
+
+    const pitcher = findById(pitchers, selectedPitcher);
+    if (!pitcher) {
+      setError("Selected pitcher no longer exists.");
+      return;
+    }
 
     try {
       setBusy(true);
       console.log("[AddPitchForm] capture start");
-      const { blob } = await captureFrames(file, contactFrame, FPS);
+      // First tagged event through plate arrival; two real seconds if none are tagged.
+      const { startSec, endSec } = pitchEventWindow(events, contactTime, FPS, captureRate || FPS);
+      const { blob } = await captureTimeRange(file, startSec, endSec, FPS);
       console.log("[AddPitchForm] final blob size", blob.size);
 
-      const videoKey = `pitch_${selectedPitcher}_${Date.now()}_${Math.random()
+      const videoKey = `pitch_${pitcher.name}_${Date.now()}_${Math.random()
         .toString(36)
         .slice(2, 8)}`;
 
-      await savePitchClip(videoKey, blob, description.trim(), contactFrame);
+      // Keep the untrimmed upload so the clip can be re-cut later (deduped by hash).
+      const sourceHash = loadSettings().keepSourceVideos
+        ? await saveSourceVideo(file, file.name)
+        : null;
 
-      onAddPitch(selectedPitcher, {
-        contactFrame,
+      const pitch = await savePitchClip(
         videoKey,
-        description: description.trim(),
-      });
+        blob,
+        description.trim(),
+        contactFrame,
+        pitcher.name,
+        {
+          pitcherId: pitcher.id,
+          sourceHash,
+          fps: FPS,
+          captureFps: captureRate,
+          contactTime,
+          events,
+        }
+      );
+
+      onAddPitch(pitch);
 
       alert("Pitch saved!");
       if (onClose) onClose();
@@ -159,7 +139,7 @@ export default function AddPitchForm({
         >
           <option value="">-- Select Pitcher --</option>
           {pitchers.map((p) => (
-            <option key={p.name} value={p.name}>
+            <option key={p.id} value={p.id}>
               {p.name}
             </option>
           ))}
@@ -171,19 +151,60 @@ export default function AddPitchForm({
         <input type="file" accept="video/*" onChange={onChangeFile} />
       </label>
 
-      {videoUrl && (
+      {videoUrl && !FPS && <div>Reading frame rate…</div>}
+
+      {videoUrl && FPS && (
         <div>
           <VideoTagger
             source={videoUrl}
-            metadata={{ label: `Pitch tagging: ${selectedPitcher}` }}
+            metadata={{
+              label: `Pitch tagging: ${findById(pitchers, selectedPitcher)?.name || ""}`,
+            }}
             fps={FPS}
             taggable
-            onTagPitchContact={(f) => setContactFrame(f)}
+            tags={{
+              pitchContact: contactTime,
+              ...Object.fromEntries(Object.entries(events).map(([id, e]) => [id, e.time])),
+            }}
+            onTagPitchContact={(f, t) => {
+              setContactFrame(f);
+              setContactTime(t);
+            }}
+            onTagPitchEvent={(id, f, t) =>
+              setEvents((prev) => ({ ...prev, [id]: { frame: f, time: t } }))
+            }
           />
         </div>
       )}
 
-      {contactFrame != null && <div>Tagged contact={contactFrame}, FPS={FPS}</div>}
+      {FPS && (
+        <CaptureRateSelect
+          fps={FPS}
+          value={captureRate}
+          onChange={(r) => setCaptureRate(r === FPS ? null : r)}
+          disabled={busy}
+        />
+      )}
+
+      {contactFrame != null && (
+        <div>
+          Tagged contact={contactFrame} (
+          {tagRealMs({ ...timing, contactTime }, "contact").toFixed(0)} ms real time), FPS={FPS}
+        </div>
+      )}
+
+      {FPS && (contactFrame != null || Object.keys(events).length > 0) && (
+        <PitchEventList
+          pitch={{ ...timing, events, contactFrame, contactTime }}
+          onClear={(id) =>
+            setEvents((prev) => {
+              const next = { ...prev };
+              delete next[id];
+              return next;
+            })
+          }
+        />
+      )}
 
       <label>
         Description:
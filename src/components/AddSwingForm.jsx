@@ -1,115 +1,114 @@
 // src/components/AddSwingForm.jsx
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import VideoTagger from "./VideoTagger";
-import { saveSwingClip } from "../utils/dataModel";
-
-/* ---------- FRAME CAPTURE (MP4 OUTPUT) ---------- */
-async function captureFrames(file, startFrame, endFrame, FPS) {
-  console.log("[captureFrames] MP4 deterministic capture start");
-
-  const startTimeSec = startFrame / FPS;
-  const endTimeSec = endFrame / FPS;
-  const frameStep = 1 / FPS;
-  const frameCount = Math.ceil((endTimeSec - startTimeSec) * FPS);
-
-  console.log(
-    `[captureFrames] range ${startFrame}-${endFrame} (${frameCount} frames, ${(
-      frameCount / FPS
-    ).toFixed(2)}s)`
-  );
-
-  return new Promise((resolve, reject) => {
-    const video = document.createElement("video");
-    video.src = URL.createObjectURL(file);
-    video.crossOrigin = "anonymous";
-    video.muted = true;
-    video.playsInline = true;
-    video.preload = "auto";
-
-    video.onloadedmetadata = async () => {
-      const w = video.videoWidth;
-      const h = video.videoHeight;
-      const canvas = document.createElement("canvas");
-      canvas.width = w;
-      canvas.height = h;
-      const ctx = canvas.getContext("2d");
-
-      // 🎥 Use MP4 if available, else WebM fallback
-      const mp4Mime = "video/mp4;codecs=avc1.42E01E";
-      const fallbackMime = "video/webm;codecs=vp9";
-      const mimeType = MediaRecorder.isTypeSupported(mp4Mime)
-        ? mp4Mime
-        : fallbackMime;
-
-      const chunks = [];
-      const rec = new MediaRecorder(canvas.captureStream(FPS), {
-        mimeType,
-        videoBitsPerSecond: 10_000_000,
-      });
-
-      rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
-      rec.onstop = () => {
-        const blob = new Blob(chunks, { type: mimeType });
-        console.log(`[captureFrames] ✅ recorded ${blob.size} bytes as ${mimeType}`);
-        if (blob.size < 512) reject(new Error("Empty output"));
-        else resolve({ blob });
-      };
-
-      rec.start();
-      console.log(`[captureFrames] recording ${frameCount} frames…`);
-
-      let frameIndex = 0;
-      const drawNext = () => {
-        if (frameIndex >= frameCount) {
-          setTimeout(() => rec.stop(), 250);
-          return;
-        }
-
-        const t = startTimeSec + frameIndex * frameStep;
-        video.currentTime = t;
-        video.onseeked = () => {
-          if (video.readyState < 4) {
-            requestAnimationFrame(drawNext);
-            return;
-          }
-          ctx.drawImage(video, 0, 0, w, h);
-          frameIndex++;
-          setTimeout(() => requestAnimationFrame(drawNext), 1000 / FPS);
-        };
-      };
-      drawNext();
-    };
-
-    video.onerror = () => reject(new Error("Video load failed"));
-  });
-}
+import CaptureRateSelect from "./CaptureRateSelect";
+import SwingPhaseList from "./SwingPhaseList";
+import {
+  saveSwingClip,
+  saveSourceVideo,
+  findById,
+  swingDuration,
+  swingPhasesInOrder,
+  DEFAULT_FPS,
+} from "../utils/dataModel";
+import { loadSettings } from "../utils/settings";
+import { detectFrameRate } from "../utils/clipExtractor";
+import { captureTimeRange } from "../utils/captureFrames";
+import { detectSwingMotion, supportsMotionDetection } from "../utils/motionDetection";
 
 /* ---------- COMPONENT ---------- */
 export default function AddSwingForm({
   hitters,
   onAddSwing,
-  constants = { FPS: 30 },
+  constants = { FPS: DEFAULT_FPS },
   onClose,
 }) {
-  const FPS = Number(constants?.FPS) || 30;
+  // Used only when the file's own frame rate can't be read.
+  const fallbackFps = Number(constants?.FPS) || DEFAULT_FPS;
   const [selectedHitter, setSelectedHitter] = useState("");
   const [file, setFile] = useState(null);
   const [videoUrl, setVideoUrl] = useState(null);
   const [description, setDescription] = useState("");
   const [startFrame, setStartFrame] = useState(null);
   const [contactFrame, setContactFrame] = useState(null);
+  // Presentation timestamps of the tagged frames (exact on variable-frame-rate video).
+  const [startTime, setStartTime] = useState(null);
+  const [contactTime, setContactTime] = useState(null);
+  // Optional phase tags (load, foot down, launch, finish): { [id]: { frame, time } }.
+  const [phases, setPhases] = useState({});
   const [error, setError] = useState("");
   const [busy, setBusy] = useState(false);
+  // Native rate of the chosen file; tagging waits for it since frame numbers depend on it.
+  const [FPS, setFPS] = useState(null);
+  // Camera rate for slow-motion files; null when the file plays in real time.
+  const [captureRate, setCaptureRate] = useState(null);
+  const timing = { fps: FPS, captureFps: captureRate };
+  // Assisted tagging: { frames } while the motion analysis runs, { confidence } after.
+  const [assist, setAssist] = useState(null);
+  const assistAbortRef = useRef(null);
+
+  // A new file (or closing the form) stops any analysis of the previous one.
+  useEffect(() => () => assistAbortRef.current?.abort(), [file]);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    detectFrameRate(file).then((rate) => {
+      if (!cancelled) setFPS(rate || fallbackFps);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, fallbackFps]);
 
   const onChangeFile = useCallback((e) => {
     const f = e.target.files?.[0] || null;
     setFile(f);
+    setFPS(null);
+    setCaptureRate(null);
     setStartFrame(null);
     setContactFrame(null);
+    setStartTime(null);
+    setContactTime(null);
+    setPhases({});
+    setAssist(null);
     setVideoUrl(f ? URL.createObjectURL(f) : null);
     setError("");
   }, []);
 
+  // Pre-fill start + contact from motion; the user confirms or adjusts them in the tagger.
+  const suggestTags = async () => {
+    assistAbortRef.current?.abort();
+    const controller = new AbortController();
+    assistAbortRef.current = controller;
+    setError("");
+    setAssist({ frames: 0 });
+    try {
+      const found = await detectSwingMotion(file, {
+        fps: FPS,
+        captureFps: captureRate || FPS,
+        signal: controller.signal,
+        onProgress: (frames) => setAssist({ frames }),
+      });
+      if (controller.signal.aborted) return;
+      if (!found) {
+        setAssist(null);
+        setError("No clear swing motion found. Tag the frames by hand.");
+        return;
+      }
+      setStartFrame(found.start.frame);
+      setStartTime(found.start.time);
+      setContactFrame(found.contact.frame);
+      setContactTime(found.contact.time);
+      setAssist({ confidence: found.confidence });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error("[AddSwingForm] motion analysis failed:", err);
+      setAssist(null);
+      setError(err.message || "Motion analysis failed.");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -122,32 +121,52 @@ export default function AddSwingForm({
       setError("Start frame must be before contact frame.");
       return;
     }
+    if (!swingPhasesInOrder({ ...timing, phases, contactFrame, contactTime })) {
+      setError("Swing phases must be in order: load, foot down, launch, contact, finish.");
+      return;
+    }
+
+    const hitter = findById(hitters, selectedHitter);
+    if (!hitter) {
+      setError("Selected hitter no longer exists.");
+      return;
+    }
 
     try {
       setBusy(true);
       console.log("[AddSwingForm] capture start");
-      const { blob } = await captureFrames(file, startFrame, contactFrame, FPS);
+      const { blob } = await captureTimeRange(file, startTime, contactTime, FPS);
       console.log("[AddSwingForm] final blob size", blob.size);
 
-      const videoKey = `swing_${selectedHitter}_${Date.now()}_${Math.random()
+      const videoKey = `swing_${hitter.name}_${Date.now()}_${Math.random()
         .toString(36)
         .slice(2, 8)}`;
 
-      await saveSwingClip(
+      // Keep the untrimmed upload so the clip can be re-cut later (deduped by hash).
+      const sourceHash = loadSettings().keepSourceVideos
+        ? await saveSourceVideo(file, file.name)
+        : null;
+
+      const swing = await saveSwingClip(
         videoKey,
         blob,
-        selectedHitter,
+        hitter.name,
         description.trim(),
         startFrame,
-        contactFrame
+        contactFrame,
+        null,
+        {
+          hitterId: hitter.id,
+          sourceHash,
+          fps: FPS,
+          captureFps: captureRate,
+          startTime,
+          contactTime,
+          phases,
+        }
       );
 
-      onAddSwing(selectedHitter, {
-        startFrame,
-        contactFrame,
-        videoKey,
-        description: description.trim(),
-      });
+      onAddSwing(swing);
 
       alert("Swing saved!");
       if (onClose) onClose();
@@ -171,7 +190,7 @@ export default function AddSwingForm({
         >
           <option value="">-- Select Hitter --</option>
           {hitters.map((h) => (
-            <option key={h.name} value={h.name}>
+            <option key={h.id} value={h.id}>
               {h.name}
             </option>
           ))}
@@ -183,25 +202,89 @@ export default function AddSwingForm({
         <input type="file" accept="video/*" onChange={onChangeFile} />
       </label>
 
-      {videoUrl && (
+      {videoUrl && !FPS && <div>Reading frame rate…</div>}
+
+      {videoUrl && FPS && (
         <div>
           <VideoTagger
             source={videoUrl}
-            metadata={{ label: `Swing tagging: ${selectedHitter}` }}
+            metadata={{
+              label: `Swing tagging: ${findById(hitters, selectedHitter)?.name || ""}`,
+            }}
             fps={FPS}
             taggable
-            onTagSwingStart={(f) => setStartFrame(f)}
-            onTagSwingContact={(f) => setContactFrame(f)}
+            tags={{
+              swingStart: startTime,
+              swingContact: contactTime,
+              ...Object.fromEntries(Object.entries(phases).map(([id, p]) => [id, p.time])),
+            }}
+            onTagSwingStart={(f, t) => {
+              setStartFrame(f);
+              setStartTime(t);
+            }}
+            onTagSwingContact={(f, t) => {
+              setContactFrame(f);
+              setContactTime(t);
+            }}
+            onTagSwingPhase={(id, f, t) =>
+              setPhases((prev) => ({ ...prev, [id]: { frame: f, time: t } }))
+            }
           />
         </div>
       )}
 
+      {FPS && (
+        <CaptureRateSelect
+          fps={FPS}
+          value={captureRate}
+          onChange={(r) => setCaptureRate(r === FPS ? null : r)}
+          disabled={busy}
+        />
+      )}
+
+      {FPS && supportsMotionDetection() && (
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <button type="button" onClick={suggestTags} disabled={busy || assist?.frames != null}>
+            {assist?.frames != null
+              ? `Analyzing motion… ${assist.frames} frames`
+              : "Suggest start + contact"}
+          </button>
+          {assist?.confidence != null && (
+            <span style={{ fontSize: 12, opacity: 0.8 }}>
+              Suggested from motion ({Math.round(assist.confidence * 100)}% confidence). Check
+              the markers; drag them or re-tag to adjust.
+            </span>
+          )}
+        </div>
+      )}
+
       {(startFrame != null || contactFrame != null) && (
         <div>
           Tagged: start={startFrame ?? "—"}, contact={contactFrame ?? "—"}, FPS={FPS}
+          {startFrame != null && contactFrame != null && contactFrame > startFrame && (
+            <>
+              {" "}
+              • swing{" "}
+              {(swingDuration({ ...timing, startTime, contactTime }) * 1000).toFixed(0)} ms
+              real time
+            </>
+          )}
         </div>
       )}
 
+      {Object.keys(phases).length > 0 && (
+        <SwingPhaseList
+          swing={{ ...timing, phases, contactFrame, contactTime }}
+          onClear={(id) =>
+            setPhases((prev) => {
+              const next = { ...prev };
+              delete next[id];
+              return next;
+            })
+          }
+        />
+      )}
+
       <label>
         Description:
         <input
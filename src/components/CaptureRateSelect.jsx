@@ -0,0 +1,30 @@
+// src/components/CaptureRateSelect.jsx
+import React from "react";
+
+// Rates phones record slow motion at; only those above the file's playback rate apply.
+const SLOW_MO_RATES = [60, 120, 240, 480, 960];
+
+/*
+  How fast the camera actually captured. Slow-motion files play back at `fps` but each
+  frame is 1/captureFps of real time, so swing times and matchup sync depend on this.
+*/
+export default function CaptureRateSelect({ fps, value, onChange, disabled }) {
+  const rates = SLOW_MO_RATES.filter((r) => r > fps);
+  return (
+    <label>
+      Captured at:{" "}
+      <select
+        value={value || fps}
+        onChange={(e) => onChange(Number(e.target.value))}
+        disabled={disabled}
+      >
+        <option value={fps}>Real time ({fps} fps)</option>
+        {rates.map((r) => (
+          <option key={r} value={r}>
+            Slow-mo, {r} fps ({r / fps}× slower)
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,395 @@
+// src/components/ClipEditor.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import VideoTagger from "./VideoTagger";
+import CaptureRateSelect from "./CaptureRateSelect";
+import PitchEventList from "./PitchEventList";
+import SwingPhaseList from "./SwingPhaseList";
+import {
+  getSwingClipBlob,
+  getPitchClipBlob,
+  updateSwingClip,
+  updatePitchClip,
+  getSourceVideoBlob,
+  findById,
+  recordFps,
+  tagTime,
+  PITCH_EVENTS,
+  pitchEvent,
+  pitchEventsInOrder,
+  swingPhasesInOrder,
+} from "../utils/dataModel";
+import { captureTimeRange, clipSourceStart, pitchEventWindow } from "../utils/captureFrames";
+
+/*
+  Re-tag an existing swing or pitch. Records keep source-video frames. When the original
+  upload was kept (`sourceHash`) we edit on it directly; otherwise frames in the UI are
+  relative to the saved clip and we translate with the clip's first source frame (kept
+  in `adjustments.clipStartFrame` once a clip has been re-trimmed). Tag timestamps are
+  translated the same way with the clip's first source time. Pitch clips start a lead-in
+  before the first delivery event, or two real seconds before contact without events.
+*/
+
+function clipStartOf(kind, record) {
+  if (record.adjustments?.clipStartFrame != null) return record.adjustments.clipStartFrame;
+  if (kind === "swing") return record.startFrame ?? 0;
+  return Math.round(clipSourceStart(kind, record) * recordFps(record));
+}
+
+// Tag time relative to whatever is loaded, given the loaded media's first source time.
+function relativeTime(record, tag, baseTime) {
+  const t = tagTime(record, tag);
+  return t == null ? null : Math.max(0, t - baseTime);
+}
+
+// Optional phase tags in source terms, { [id]: { frame, time } }: a swing's phases or a
+// pitch's delivery events.
+function savedMarks(kind, record) {
+  if (kind === "swing") return record.phases || {};
+  const events = {};
+  for (const { id } of PITCH_EVENTS) {
+    const e = pitchEvent(record, id);
+    if (e) events[id] = e;
+  }
+  return events;
+}
+
+// Move marks to or from the loaded media's timeline. Not clamped: a mark outside the
+// saved clip keeps its position and is written back unchanged.
+function shiftMarks(marks, frames, seconds) {
+  return Object.fromEntries(
+    Object.entries(marks).map(([id, m]) => [
+      id,
+      { frame: m.frame + frames, time: m.time + seconds },
+    ])
+  );
+}
+
+const markFrames = (marks) =>
+  Object.keys(marks)
+    .sort()
+    .map((id) => `${id}:${marks[id].frame}`)
+    .join();
+
+const markTimes = (marks) =>
+  Object.fromEntries(Object.entries(marks).map(([id, m]) => [id, m.time]));
+
+function NudgeRow({ label, value, onNudge }) {
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+      <span style={{ width: 60 }}>{label}</span>
+      <button type="button" onClick={() => onNudge(-1)} disabled={value == null}>
+        −1
+      </button>
+      <span style={{ minWidth: 40, textAlign: "center" }}>f{value ?? "—"}</span>
+      <button type="button" onClick={() => onNudge(1)} disabled={value == null}>
+        +1
+      </button>
+    </div>
+  );
+}
+
+export default function ClipEditor({ kind, record, players, onSaved, onCancel }) {
+  const isSwing = kind === "swing";
+  // Frames on the record (and in the clip/original) are counted at its native rate.
+  const fps = recordFps(record);
+  const ownerKey = isSwing ? "hitterId" : "pitcherId";
+  const ownerNameKey = isSwing ? "hitterName" : "pitcherName";
+  const clipStart = clipStartOf(kind, record);
+  const clipStartTime = clipSourceStart(kind, record);
+
+  const [clipBlob, setClipBlob] = useState(null);
+  const [sourceBlob, setSourceBlob] = useState(null);
+  const [useSource, setUseSource] = useState(false);
+  const [videoUrl, setVideoUrl] = useState(null);
+
+  // First source frame of whatever is loaded in the tagger.
+  const base = useSource ? 0 : clipStart;
+  const baseTime = useSource ? 0 : clipStartTime;
+  const media = useSource ? sourceBlob : clipBlob;
+  const savedStart = isSwing ? (record.startFrame ?? clipStart) - base : null;
+  const savedContact = record.contactFrame != null ? record.contactFrame - base : null;
+
+  const [playerId, setPlayerId] = useState(record[ownerKey] || "");
+  const [description, setDescription] = useState(record.description || "");
+  const [captureRate, setCaptureRate] = useState(record.captureFps || null);
+  const [startFrame, setStartFrame] = useState(savedStart);
+  const [contactFrame, setContactFrame] = useState(savedContact);
+  // Presentation timestamps of the tags, relative to the loaded media like the frames.
+  const [startTime, setStartTime] = useState(() => relativeTime(record, "start", baseTime));
+  const [contactTime, setContactTime] = useState(() =>
+    relativeTime(record, "contact", baseTime)
+  );
+  // Swing phases or pitch delivery events, relative to the loaded media.
+  const [marks, setMarks] = useState(() =>
+    shiftMarks(savedMarks(kind, record), -base, -baseTime)
+  );
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // Switching between clip and original changes what frame 0 means; re-derive the tags.
+  const chooseSource = useCallback(
+    (fromSource) => {
+      const b = fromSource ? 0 : clipStart;
+      const bTime = fromSource ? 0 : clipStartTime;
+      setUseSource(fromSource);
+      if (isSwing) {
+        setStartFrame((record.startFrame ?? clipStart) - b);
+        setStartTime(relativeTime(record, "start", bTime));
+      }
+      setContactFrame(record.contactFrame != null ? record.contactFrame - b : null);
+      setContactTime(relativeTime(record, "contact", bTime));
+      setMarks(shiftMarks(savedMarks(kind, record), -b, -bTime));
+    },
+    [kind, record, isSwing, clipStart, clipStartTime]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      (isSwing ? getSwingClipBlob : getPitchClipBlob)(record.videoKey),
+      getSourceVideoBlob(record.sourceHash).catch(() => null),
+    ])
+      .then(([clip, source]) => {
+        if (cancelled) return;
+        if (!clip && !source) {
+          setError("This clip's video is missing. Use Check Library to repair it.");
+          return;
+        }
+        setClipBlob(clip);
+        setSourceBlob(source);
+        if (source) chooseSource(true);
+      })
+      .catch((err) => !cancelled && setError(err.message || "Failed to load clip."));
+    return () => {
+      cancelled = true;
+    };
+  }, [isSwing, record.videoKey, record.sourceHash, chooseSource]);
+
+  useEffect(() => {
+    if (!media) return undefined;
+    const url = URL.createObjectURL(media);
+    setVideoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [media]);
+
+  function clearMark(id) {
+    setMarks((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
+
+  // ±1 nudges don't see the frame table; assume an even 1/fps step from the tagged time.
+  function nudge(setFrame, setTime, frame, time, delta) {
+    setFrame(frame + delta);
+    setTime(Math.max(0, (time ?? frame / fps) + delta / fps));
+  }
+
+  // A pitch clip's lead-in is in real seconds, so a new capture rate changes its length
+  // too; moving the first delivery event moves its start.
+  const retrim = isSwing
+    ? startFrame !== savedStart || contactFrame !== savedContact
+    : contactFrame !== savedContact ||
+      captureRate !== (record.captureFps || null) ||
+      markFrames(marks) !== markFrames(shiftMarks(savedMarks(kind, record), -base, -baseTime));
+
+  async function handleSave() {
+    setError("");
+    const player = findById(players, playerId);
+    if (!player) {
+      setError(`Select a ${isSwing ? "hitter" : "pitcher"}.`);
+      return;
+    }
+    if (contactFrame == null || (isSwing && startFrame == null)) {
+      setError("Tag the frames first.");
+      return;
+    }
+    if (isSwing && (startFrame < 0 || startFrame >= contactFrame)) {
+      setError("Start frame must be before contact frame.");
+      return;
+    }
+    if (isSwing && !swingPhasesInOrder({ fps, phases: marks, contactFrame, contactTime })) {
+      setError("Swing phases must be in order: load, foot down, launch, contact, finish.");
+      return;
+    }
+    if (!isSwing && !pitchEventsInOrder({ fps, events: marks, contactFrame, contactTime })) {
+      setError("Delivery events must be in order and before plate arrival.");
+      return;
+    }
+    if (contactFrame < 0 || (!useSource && savedContact != null && contactFrame > savedContact)) {
+      setError("Contact must be inside the saved clip. Keep originals to extend past it.");
+      return;
+    }
+
+    try {
+      setBusy(true);
+      let blob = null;
+      let newClipStart = clipStart;
+      let newClipStartTime = clipStartTime;
+      if (retrim) {
+        // Cut the new range out of whatever is loaded (relative to `base` / `baseTime`).
+        const range = isSwing
+          ? { startSec: startTime, endSec: contactTime }
+          : pitchEventWindow(marks, contactTime, fps, captureRate || fps);
+        ({ blob } = await captureTimeRange(media, range.startSec, range.endSec, fps));
+        newClipStart = base + (isSwing ? startFrame : Math.round(range.startSec * fps));
+        newClipStartTime = baseTime + range.startSec;
+      }
+
+      const fields = {
+        [ownerKey]: player.id,
+        [ownerNameKey]: player.name,
+        description: description.trim(),
+        contactFrame: base + contactFrame,
+        contactTime: baseTime + contactTime,
+        captureFps: captureRate,
+        adjustments: {
+          originalStartFrame: record.adjustments?.originalStartFrame ?? record.startFrame ?? null,
+          originalContactFrame: record.adjustments?.originalContactFrame ?? record.contactFrame,
+          clipStartFrame: newClipStart,
+          clipStartTime: newClipStartTime,
+          editedAt: Date.now(),
+        },
+      };
+      if (isSwing) {
+        fields.startFrame = base + startFrame;
+        fields.startTime = baseTime + startTime;
+        fields.phases = shiftMarks(marks, base, baseTime);
+      } else {
+        fields.events = shiftMarks(marks, base, baseTime);
+      }
+
+      const found = await (isSwing ? updateSwingClip : updatePitchClip)(
+        record.videoKey,
+        fields,
+        blob
+      );
+      if (!found) throw new Error("This clip's video is missing. Use Check Library to repair it.");
+      onSaved({ ...record, ...fields });
+    } catch (err) {
+      console.error("[ClipEditor] save failed:", err);
+      setError(err.message || "Failed to save changes.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const ownerName = findById(players, playerId)?.name || "";
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <h3>
+        Edit {isSwing ? "Swing" : "Pitch"} — {record[ownerNameKey]}
+      </h3>
+
+      {videoUrl && (
+        <VideoTagger
+          source={videoUrl}
+          metadata={{ label: `${isSwing ? "Swing" : "Pitch"} editing: ${ownerName}` }}
+          fps={fps}
+          taggable
+          tags={
+            isSwing
+              ? { swingStart: startTime, swingContact: contactTime, ...markTimes(marks) }
+              : { pitchContact: contactTime, ...markTimes(marks) }
+          }
+          onTagSwingStart={(f, t) => {
+            setStartFrame(f);
+            setStartTime(t);
+          }}
+          onTagSwingContact={(f, t) => {
+            setContactFrame(f);
+            setContactTime(t);
+          }}
+          onTagPitchContact={(f, t) => {
+            setContactFrame(f);
+            setContactTime(t);
+          }}
+          onTagSwingPhase={(id, f, t) =>
+            setMarks((prev) => ({ ...prev, [id]: { frame: f, time: t } }))
+          }
+          onTagPitchEvent={(id, f, t) =>
+            setMarks((prev) => ({ ...prev, [id]: { frame: f, time: t } }))
+          }
+        />
+      )}
+
+      {sourceBlob && clipBlob && (
+        <label style={{ fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={useSource}
+            onChange={(e) => chooseSource(e.target.checked)}
+            disabled={busy}
+          />{" "}
+          Edit on the original upload (frames can move past the saved clip)
+        </label>
+      )}
+
+      <CaptureRateSelect
+        fps={fps}
+        value={captureRate}
+        onChange={(r) => setCaptureRate(r === fps ? null : r)}
+        disabled={busy}
+      />
+
+      {isSwing && (
+        <NudgeRow
+          label="Start"
+          value={startFrame}
+          onNudge={(d) => nudge(setStartFrame, setStartTime, startFrame, startTime, d)}
+        />
+      )}
+      <NudgeRow
+        label="Contact"
+        value={contactFrame}
+        onNudge={(d) => nudge(setContactFrame, setContactTime, contactFrame, contactTime, d)}
+      />
+      {isSwing ? (
+        <SwingPhaseList
+          swing={{ fps, captureFps: captureRate, phases: marks, contactFrame, contactTime }}
+          onClear={clearMark}
+        />
+      ) : (
+        <PitchEventList
+          pitch={{ fps, captureFps: captureRate, events: marks, contactFrame, contactTime }}
+          onClear={clearMark}
+        />
+      )}
+      {retrim && (
+        <div style={{ fontSize: 12, opacity: 0.75 }}>
+          The clip will be re-cut to the new range when you save.
+        </div>
+      )}
+
+      <label>
+        {isSwing ? "Hitter" : "Pitcher"}:{" "}
+        <select value={playerId} onChange={(e) => setPlayerId(e.target.value)}>
+          <option value="">-- Select --</option>
+          {players.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        Description:{" "}
+        <input type="text" value={description} onChange={(e) => setDescription(e.target.value)} />
+      </label>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="button" onClick={handleSave} disabled={busy || !media}>
+          {busy ? "Saving…" : "Save Changes"}
+        </button>
+        <button type="button" onClick={onCancel} disabled={busy}>
+          Cancel
+        </button>
+      </div>
+
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+    </div>
+  );
+}
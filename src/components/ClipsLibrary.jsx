@@ -5,11 +5,20 @@ import {
   getSwingClipBlob,
   getMatchupClipBlob,
   deleteMatchupClip,
-  deletePitchClip,
-  deleteSwingClip,
-  listMatchupClipKeys,
-  listSwingClipKeys,
+  findById,
+  recordFps,
+  captureFps,
+  swingDuration,
+  releaseToPlate,
+  swingPhaseDurations,
 } from "../utils/dataModel";
+import { layoutLabel } from "../utils/matchupLayouts";
+import ClipEditor from "./ClipEditor";
+import {
+  exportPlayerPackage,
+  archiveFileName,
+  downloadBlob,
+} from "../utils/libraryArchive";
 
 // helper: guarantee the return value is a Blob with a video type
 async function ensureVideoBlob(promise, label = "") {
@@ -35,114 +44,76 @@ async function openBlobInNewTab(getter, key) {
   window.open(url);
 }
 
+// " • 0.183s @ 240 fps • Load → Foot down 0.210s, …" for swings with phases tagged,
+// " • 240 fps slow-mo • release→plate 0.412s" for slow-motion pitches with release tagged.
+function timingLabel(record) {
+  const sec = swingDuration(record);
+  const rate = captureFps(record);
+  const slowMo = rate !== recordFps(record) ? " slow-mo" : "";
+  const flight = releaseToPlate(record);
+  const flightLabel = flight != null ? ` • release→plate ${flight.toFixed(3)}s` : "";
+  const phases = swingPhaseDurations(record)
+    .map((d) => `${d.label} ${d.seconds.toFixed(3)}s`)
+    .join(", ");
+  const phaseLabel = phases ? ` • ${phases}` : "";
+  return (
+    ` • ${sec != null ? `${sec.toFixed(3)}s @ ` : ""}${rate} fps${slowMo}` +
+    `${flightLabel}${phaseLabel}`
+  );
+}
+
+async function exportHitter(hitter) {
+  try {
+    const blob = await exportPlayerPackage("hitter", hitter.id);
+    downloadBlob(blob, archiveFileName(`SwingSync_Hitter_${hitter.name}`));
+  } catch (err) {
+    console.error("Hitter export failed:", err);
+    alert("Failed to export hitter.");
+  }
+}
+
 export default function ClipsLibrary({
   hitters,
   swings,
   pitchers,
   pitches,
   matchups,
-  requestLoadVideoInTagger,
   onDeleteSwing,
   onDeletePitch,
   onDeleteMatchup,
+  onUpdateSwing,
+  onUpdatePitch,
 }) {
   const [localSwings, setLocalSwings] = useState(swings);
   const [localPitches, setLocalPitches] = useState(pitches);
   const [localMatchups, setLocalMatchups] = useState(matchups);
+  const [editing, setEditing] = useState(null);
 
   useEffect(() => setLocalSwings(swings), [swings]);
   useEffect(() => setLocalPitches(pitches), [pitches]);
   useEffect(() => setLocalMatchups(matchups), [matchups]);
 
-  // 🔥 auto-delete orphaned matchups
-  useEffect(() => {
-    async function cleanOrphans() {
-      const allKeys = await listMatchupClipKeys();
-      const liveKeys = new Set(localMatchups.map((m) => m.videoKey));
-      const orphans = allKeys.filter((k) => !liveKeys.has(k));
-      for (const key of orphans) {
-        try {
-          await deleteMatchupClip(key);
-          console.log("Deleted orphaned matchup:", key);
-        } catch (err) {
-          console.error("Failed to delete orphaned matchup:", key, err);
-        }
-      }
-    }
-    cleanOrphans();
-  }, [localMatchups]);
-
-  // 🔥 Load swings from IndexedDB
-  useEffect(() => {
-    async function loadSwingsFromDB() {
-      const swings = await listSwingClipKeys();
-      const swingsWithKeys = swings.map((s, idx) => ({
-        videoKey: s.key,
-        hitterName: s.hitterName,
-        description: s.description || `Swing ${idx + 1}`,
-        startFrame: s.startFrame,
-        contactFrame: s.contactFrame,
-      }));
-      setLocalSwings(swingsWithKeys);
-    }
-    loadSwingsFromDB();
-  }, []);
-
-  // 🔥 Load matchups from IndexedDB on mount
-  useEffect(() => {
-    async function loadMatchupsFromDB() {
-      try {
-        const stored = await listMatchupClipKeys();
-        if (stored && stored.length) {
-          const loaded = stored.map((m, idx) => ({
-            videoKey: m.key,
-            hitterName: m.hitterName || "Unknown Hitter",
-            swingIndex: m.swingIndex ?? 0,
-            pitcherName: m.pitcherName || "Unknown Pitcher",
-            pitchIndex: m.pitchIndex ?? 0,
-            labelType: m.labelType || "sidebyside",
-            description: m.description || "",
-            createdAt: m.createdAt || Date.now(),
-            globalIndex: idx,
-          }));
-          setLocalMatchups(loaded);
-          console.log("✅ Loaded matchups from DB:", loaded.length);
-        } else {
-          console.log("ℹ️ No matchups in DB");
-        }
-      } catch (err) {
-        console.error("❌ Failed to load matchups:", err);
-      }
-    }
-    loadMatchupsFromDB();
-  }, []);
-
-  function renderMatchupRow(m, i) {
-    const swingObj = localSwings.find(
-      (s, idx) => s.hitterName === m.hitterName && idx === m.swingIndex
-    );
-    const pitchObj = localPitches.find(
-      (pt, idx) => pt.pitcherName === m.pitcherName && idx === m.pitchIndex
-    );
+  function renderMatchupRow(m) {
+    const swingObj = findById(localSwings, m.swingId);
+    const pitchObj = findById(localPitches, m.pitchId);
+    const swingNo = localSwings.filter((s) => s.hitterId === m.hitterId).indexOf(swingObj) + 1;
+    const pitchNo = localPitches.filter((pt) => pt.pitcherId === m.pitcherId).indexOf(pitchObj) + 1;
 
-    const swingDetail = swingObj?.swingTime
-      ? `time ${swingObj.swingTime.toFixed(3)}s`
-      : "no time";
+    const swingSec = swingDuration(swingObj);
+    const swingDetail = swingSec != null ? `time ${swingSec.toFixed(3)}s` : "no time";
     const pitchDetail = pitchObj?.description || "no description";
-    const clipType = m.videoKey?.includes("sideBySide")
-      ? "Side-by-Side"
-      : "Pitcher-Only";
-    const globalIdx =
-      typeof m.globalIndex === "number" ? m.globalIndex : i;
+    const clipType = layoutLabel(m.labelType);
 
     return (
       <div
-        key={`matchup-${globalIdx}`}
+        key={m.id}
         style={{ display: "flex", alignItems: "center", gap: 8 }}
       >
         <span style={{ flex: 1 }}>
-          {m.hitterName} — Swing {m.swingIndex + 1} ({swingDetail}) vs{" "}
-          {m.pitcherName} — Pitch {m.pitchIndex + 1} ({pitchDetail}) • {clipType}
+          {m.hitterName} — {swingObj ? `Swing ${swingNo}` : "deleted swing"} ({swingDetail}) vs{" "}
+          {m.pitcherName} — {pitchObj ? `Pitch ${pitchNo}` : "deleted pitch"} ({pitchDetail}) •{" "}
+          {clipType}
+          {m.template ? ` • ${m.template}` : ""}
         </span>
         <button
           type="button"
@@ -156,10 +127,8 @@ export default function ClipsLibrary({
             if (window.confirm("Delete this matchup?")) {
               try {
                 if (m.videoKey) await deleteMatchupClip(m.videoKey);
-                setLocalMatchups((prev) =>
-                  prev.filter((_, idx) => idx !== i)
-                );
-                onDeleteMatchup(globalIdx);
+                setLocalMatchups((prev) => prev.filter((x) => x.id !== m.id));
+                onDeleteMatchup(m.id);
               } catch (err) {
                 console.error("Delete matchup failed:", err);
                 alert("Failed to delete matchup from storage.");
@@ -173,6 +142,23 @@ export default function ClipsLibrary({
     );
   }
 
+  if (editing) {
+    const isSwing = editing.kind === "swing";
+    return (
+      <ClipEditor
+        kind={editing.kind}
+        record={editing.record}
+        players={isSwing ? hitters : pitchers}
+        onCancel={() => setEditing(null)}
+        onSaved={(updated) => {
+          if (isSwing) onUpdateSwing(updated.id, updated);
+          else onUpdatePitch(updated.id, updated);
+          setEditing(null);
+        }}
+      />
+    );
+  }
+
   return (
     <div style={{ display: "grid", gap: 16 }}>
       {/* Swings + Matchups by Hitter */}
@@ -182,18 +168,25 @@ export default function ClipsLibrary({
           <div style={{ fontSize: 12, opacity: 0.7 }}>No hitters added.</div>
         ) : (
           hitters.map((h) => {
-            const swingsFor = localSwings
-              .filter((s) => s.hitterName === h.name)
-              .map((s, idx) => ({ ...s, globalIndex: idx }));
-            const matchupsFor = localMatchups
-              .map((m, idx) => ({ ...m, globalIndex: idx }))
-              .filter((m) => m.hitterName === h.name);
+            const swingsFor = localSwings.filter((s) => s.hitterId === h.id);
+            const matchupsFor = localMatchups.filter((m) => m.hitterId === h.id);
 
             return (
-              <details key={h.name}>
+              <details key={h.id}>
                 <summary>
                   <strong>{h.name}</strong> • {swingsFor.length} swings,{" "}
                   {matchupsFor.length} matchups
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      // Inside <summary>, a click would also open/close the section.
+                      e.preventDefault();
+                      exportHitter(h);
+                    }}
+                    style={{ marginLeft: 8, fontSize: 12 }}
+                  >
+                    Export
+                  </button>
                 </summary>
                 <div style={{ paddingLeft: 14 }}>
                   {swingsFor.length === 0 ? (
@@ -201,7 +194,7 @@ export default function ClipsLibrary({
                   ) : (
                     swingsFor.map((s, i) => (
                       <div
-                        key={`${h.name}-swing-${i}`}
+                        key={s.id}
                         style={{
                           display: "flex",
                           alignItems: "center",
@@ -210,6 +203,7 @@ export default function ClipsLibrary({
                       >
                         <span style={{ flex: 1 }}>
                           Swing {i + 1} • {s.videoKey ? "saved" : "no clip"}
+                          {timingLabel(s)}
                           {s.description ? ` — ${s.description}` : ""}
                         </span>
                         {s.videoKey && (
@@ -224,15 +218,7 @@ export default function ClipsLibrary({
                             </button>
                             <button
                               type="button"
-                              onClick={() =>
-                                requestLoadVideoInTagger(
-                                  ensureVideoBlob(
-                                    getSwingClipBlob(s.videoKey),
-                                    s.videoKey
-                                  ),
-                                  `${h.name} Swing ${i + 1}`
-                                )
-                              }
+                              onClick={() => setEditing({ kind: "swing", record: s })}
                             >
                               Tag
                             </button>
@@ -243,9 +229,9 @@ export default function ClipsLibrary({
                           onClick={() => {
                             if (window.confirm("Delete this swing?")) {
                               setLocalSwings((prev) =>
-                                prev.filter((_, idx) => idx !== s.globalIndex)
+                                prev.filter((x) => x.id !== s.id)
                               );
-                              onDeleteSwing(s.globalIndex);
+                              onDeleteSwing(s.id);
                             }
                           }}
                         >
@@ -259,7 +245,7 @@ export default function ClipsLibrary({
                       <div style={{ marginTop: 6, fontWeight: "bold" }}>
                         Matchups
                       </div>
-                      {matchupsFor.map((m, i) => renderMatchupRow(m, i))}
+                      {matchupsFor.map((m) => renderMatchupRow(m))}
                     </>
                   )}
                 </div>
@@ -277,14 +263,12 @@ export default function ClipsLibrary({
         ) : (
           pitchers.map((p) => {
             const pitchesFor = localPitches.filter(
-              (pt) => pt.pitcherName === p.name
+              (pt) => pt.pitcherId === p.id
             );
-            const matchupsFor = localMatchups
-              .map((m, idx) => ({ ...m, globalIndex: idx }))
-              .filter((m) => m.pitcherName === p.name);
+            const matchupsFor = localMatchups.filter((m) => m.pitcherId === p.id);
 
             return (
-              <details key={p.name}>
+              <details key={p.id}>
                 <summary>
                   <strong>{p.name}</strong> • {pitchesFor.length} pitches,{" "}
                   {matchupsFor.length} matchups
@@ -295,7 +279,7 @@ export default function ClipsLibrary({
                   ) : (
                     pitchesFor.map((pt, i) => (
                       <div
-                        key={`${p.name}-pitch-${i}`}
+                        key={pt.id}
                         style={{
                           display: "flex",
                           alignItems: "center",
@@ -304,6 +288,7 @@ export default function ClipsLibrary({
                       >
                         <span style={{ flex: 1 }}>
                           Pitch {i + 1} • {pt.videoKey ? "saved" : "no clip"}
+                          {timingLabel(pt)}
                           {pt.description ? ` — ${pt.description}` : ""}
                         </span>
                         {pt.videoKey && (
@@ -318,15 +303,7 @@ export default function ClipsLibrary({
                             </button>
                             <button
                               type="button"
-                              onClick={() =>
-                                requestLoadVideoInTagger(
-                                  ensureVideoBlob(
-                                    getPitchClipBlob(pt.videoKey),
-                                    pt.videoKey
-                                  ),
-                                  `${p.name} Pitch ${i + 1}`
-                                )
-                              }
+                              onClick={() => setEditing({ kind: "pitch", record: pt })}
                             >
                               Tag
                             </button>
@@ -334,21 +311,12 @@ export default function ClipsLibrary({
                         )}
                         <button
                           type="button"
-                          onClick={async () => {
+                          onClick={() => {
                             if (window.confirm("Delete this pitch?")) {
-                              try {
-                                if (pt.videoKey) await deletePitchClip(pt.videoKey);
-                                setLocalPitches((prev) =>
-                                  prev.filter(
-                                    (_, idx) =>
-                                      !(pt.pitcherName === p.name && idx === i)
-                                  )
-                                );
-                                onDeletePitch(p.name, i);
-                              } catch (err) {
-                                console.error("Delete pitch failed:", err);
-                                alert("Failed to delete pitch from storage.");
-                              }
+                              setLocalPitches((prev) =>
+                                prev.filter((x) => x.id !== pt.id)
+                              );
+                              onDeletePitch(pt.id);
                             }
                           }}
                         >
@@ -362,7 +330,7 @@ export default function ClipsLibrary({
                       <div style={{ marginTop: 6, fontWeight: "bold" }}>
                         Matchups
                       </div>
-                      {matchupsFor.map((m, i) => renderMatchupRow(m, i))}
+                      {matchupsFor.map((m) => renderMatchupRow(m))}
                     </>
                   )}
                 </div>
@@ -378,7 +346,7 @@ export default function ClipsLibrary({
         {localMatchups.length === 0 ? (
           <div style={{ fontSize: 12, opacity: 0.7 }}>No matchups saved.</div>
         ) : (
-          localMatchups.map((m, i) => renderMatchupRow(m, i))
+          localMatchups.map((m) => renderMatchupRow(m))
         )}
       </div>
     </div>
@@ -1,6 +1,21 @@
 // src/components/CreatePitcherForm.jsx
 import React, { useState } from "react";
-import { getPitchClipBlob } from "../utils/dataModel";
+import { getPitchClipBlob, recordFps } from "../utils/dataModel";
+import {
+  exportPlayerPackage,
+  archiveFileName,
+  downloadBlob,
+} from "../utils/libraryArchive";
+
+async function exportPitcher(pitcher) {
+  try {
+    const blob = await exportPlayerPackage("pitcher", pitcher.id);
+    downloadBlob(blob, archiveFileName(`SwingSync_Pitcher_${pitcher.name}`));
+  } catch (err) {
+    console.error("Pitcher export failed", err);
+    alert("Failed to export pitcher.");
+  }
+}
 
 export default function CreatePitcherForm({
   pitchers = [],
@@ -87,11 +102,11 @@ export default function CreatePitcherForm({
       <div style={{ marginTop: 12 }}>
         {pitchers.map((p) => {
           const pitchesFor = pitches.filter(
-            (pt) => pt.pitcherName === p.name
+            (pt) => pt.pitcherId === p.id
           );
           return (
             <details
-              key={p.name}
+              key={p.id}
               style={{ borderBottom: "1px solid #eee", padding: "6px 0" }}
             >
               <summary style={{ cursor: "pointer", userSelect: "none" }}>
@@ -105,11 +120,22 @@ export default function CreatePitcherForm({
                 </span>
                 <button
                   type="button"
-                  onClick={() => onDeletePitcher(p.name)}
+                  onClick={() => onDeletePitcher(p.id)}
                   style={{ marginLeft: 8, fontSize: 12 }}
                 >
                   Delete Pitcher
                 </button>
+                <button
+                  type="button"
+                  onClick={(e) => {
+                    // Keep the click from toggling the pitcher list open or shut.
+                    e.preventDefault();
+                    exportPitcher(p);
+                  }}
+                  style={{ marginLeft: 8, fontSize: 12 }}
+                >
+                  Export
+                </button>
               </summary>
 
               <div style={{ paddingLeft: 14, paddingTop: 6 }}>
@@ -118,7 +144,7 @@ export default function CreatePitcherForm({
                 ) : (
                   pitchesFor.map((pt, i) => (
                     <div
-                      key={`${p.name}-pitch-${i}`}
+                      key={pt.id}
                       style={{
                         display: "flex",
                         alignItems: "center",
@@ -143,7 +169,8 @@ export default function CreatePitcherForm({
                               }
                               requestLoadVideoInTagger(
                                 blob,
-                                `${p.name} Pitch ${i + 1}`
+                                `${p.name} Pitch ${i + 1}`,
+                                recordFps(pt)
                               );
                             } catch (err) {
                               console.error("Pitch preview failed", err);
@@ -158,7 +185,7 @@ export default function CreatePitcherForm({
                       <button
                         type="button"
                         style={{ marginLeft: "auto", fontSize: 12 }}
-                        onClick={() => onDeletePitch(p.name, i)}
+                        onClick={() => onDeletePitch(pt.id)}
                       >
                         Delete
                       </button>
@@ -0,0 +1,324 @@
+// src/components/FilmstripTimeline.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const THUMB_COUNT = 10;
+const THUMB_HEIGHT = 48;
+const MIN_SPAN_FRAMES = 10;
+const SHUTTLE_MAX_RATE = 2; // × real time at full deflection
+
+// Grab evenly spaced thumbnails of [start, end] from a private <video>.
+async function captureThumbs(source, start, end, count, isCancelled) {
+  const video = document.createElement("video");
+  video.src = source;
+  video.muted = true;
+  video.preload = "auto";
+  await new Promise((resolve, reject) => {
+    video.onloadeddata = resolve;
+    video.onerror = () => reject(new Error("Video load failed"));
+  });
+  const canvas = document.createElement("canvas");
+  canvas.height = THUMB_HEIGHT;
+  canvas.width = Math.round((THUMB_HEIGHT * video.videoWidth) / video.videoHeight) || 80;
+  const ctx = canvas.getContext("2d");
+
+  const thumbs = [];
+  for (let i = 0; i < count && !isCancelled(); i++) {
+    video.currentTime = start + ((end - start) * (i + 0.5)) / count;
+    await new Promise((resolve) => video.addEventListener("seeked", resolve, { once: true }));
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    thumbs.push(canvas.toDataURL("image/jpeg", 0.6));
+  }
+  video.removeAttribute("src");
+  video.load();
+  return thumbs;
+}
+
+/*
+  Custom timeline for the tagger: filmstrip, playhead and draggable tag markers over a
+  zoomable window. Drag the strip to scrub (jog), hold the shuttle slider to play
+  forward/backward at variable speed, wheel to step frames, Ctrl/⌘+wheel to zoom.
+  `snap(t)` maps a time to the frame shown at it: { frame, time }. `ticks` are extra
+  times to flag along the top edge (audio peaks).
+*/
+export default function FilmstripTimeline({
+  source,
+  duration,
+  currentTime,
+  fps,
+  snap,
+  markers = [],
+  ticks = [],
+  onSeek,
+  onMarkerMove,
+}) {
+  const stripRef = useRef(null);
+  const [view, setView] = useState({ start: 0, end: duration || 0 });
+  const [thumbs, setThumbs] = useState([]);
+  const [drag, setDrag] = useState(null); // { id, time } while a marker is being dragged
+  const [shuttle, setShuttle] = useState(0);
+  const timeRef = useRef(currentTime);
+  timeRef.current = currentTime;
+
+  const minSpan = MIN_SPAN_FRAMES / fps;
+  const span = Math.max(view.end - view.start, minSpan);
+
+  // New clip: show all of it.
+  useEffect(() => {
+    setView({ start: 0, end: duration || 0 });
+  }, [source, duration]);
+
+  // Thumbnails for the visible window; regenerated (debounced) as the view changes.
+  useEffect(() => {
+    if (!source || !(view.end > view.start)) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      captureThumbs(source, view.start, view.end, THUMB_COUNT, () => cancelled)
+        .then((list) => !cancelled && setThumbs(list))
+        .catch((e) => console.warn("[FilmstripTimeline] thumbnails failed:", e.message));
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [source, view.start, view.end]);
+
+  const clampView = useCallback(
+    (start, end) => {
+      const width = Math.min(Math.max(end - start, minSpan), duration);
+      const s = Math.max(0, Math.min(start, duration - width));
+      return { start: s, end: s + width };
+    },
+    [duration, minSpan]
+  );
+
+  const timeAtX = useCallback(
+    (clientX) => {
+      const rect = stripRef.current.getBoundingClientRect();
+      const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+      return view.start + ratio * span;
+    },
+    [view.start, span]
+  );
+
+  const pct = (t) => `${((t - view.start) / span) * 100}%`;
+  const inView = (t) => t != null && t >= view.start && t <= view.start + span;
+
+  // Wheel: step frames (jog) or zoom around the pointer. Needs a non-passive listener.
+  useEffect(() => {
+    const el = stripRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) {
+        const anchor = timeAtX(e.clientX);
+        const factor = e.deltaY > 0 ? 1.25 : 0.8;
+        setView(
+          clampView(anchor - (anchor - view.start) * factor, anchor + (view.end - anchor) * factor)
+        );
+        return;
+      }
+      const next = snap(timeRef.current + (e.deltaY > 0 ? 1 : -1) / fps);
+      onSeek(next.time);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [timeAtX, clampView, view.start, view.end, snap, fps, onSeek]);
+
+  // Shuttle: while deflected, move the playhead at a speed proportional to the slider.
+  useEffect(() => {
+    if (!shuttle) return undefined;
+    let raf;
+    let last = performance.now();
+    // Accumulate here: the playhead prop snaps to frame starts, which would stall slow
+    // shuttling that moves less than a frame per tick.
+    let t = timeRef.current;
+    const tick = (now) => {
+      const dt = (now - last) / 1000;
+      last = now;
+      t = Math.max(0, Math.min(duration, t + shuttle * SHUTTLE_MAX_RATE * dt));
+      onSeek(t);
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [shuttle, duration, onSeek]);
+
+  function handleStripPointerDown(e) {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    onSeek(snap(timeAtX(e.clientX)).time);
+  }
+
+  function handleStripPointerMove(e) {
+    if (drag) {
+      setDrag({ ...drag, time: snap(timeAtX(e.clientX)).time });
+      return;
+    }
+    if (e.buttons & 1) onSeek(snap(timeAtX(e.clientX)).time);
+  }
+
+  function handleStripPointerUp(e) {
+    if (!drag) return;
+    const { frame, time } = snap(timeAtX(e.clientX));
+    onMarkerMove(drag.id, frame, time);
+    onSeek(time);
+    setDrag(null);
+  }
+
+  function handleMarkerPointerDown(e, marker) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    stripRef.current.setPointerCapture(e.pointerId);
+    setDrag({ id: marker.id, time: marker.time });
+  }
+
+  function zoomToTags() {
+    const times = markers.map((m) => m.time).filter((t) => t != null);
+    if (!times.length) return;
+    const lo = Math.min(...times);
+    const hi = Math.max(...times);
+    const pad = Math.max(0.25, (hi - lo) * 0.25);
+    setView(clampView(lo - pad, hi + pad));
+  }
+
+  function zoom(factor) {
+    const mid = (view.start + view.end) / 2;
+    setView(clampView(mid - (span * factor) / 2, mid + (span * factor) / 2));
+  }
+
+  if (!(duration > 0)) return null;
+
+  const buttonStyle = { fontSize: 12, padding: "2px 6px", borderRadius: 4 };
+
+  return (
+    <div style={{ display: "grid", gap: 4, userSelect: "none" }}>
+      <div
+        ref={stripRef}
+        onPointerDown={handleStripPointerDown}
+        onPointerMove={handleStripPointerMove}
+        onPointerUp={handleStripPointerUp}
+        style={{
+          position: "relative",
+          height: THUMB_HEIGHT + 18,
+          background: "#111",
+          cursor: drag ? "grabbing" : "ew-resize",
+          touchAction: "none",
+          overflow: "hidden",
+        }}
+      >
+        <div style={{ display: "flex", height: THUMB_HEIGHT }}>
+          {thumbs.map((src, i) => (
+            <img
+              key={i}
+              src={src}
+              alt=""
+              draggable={false}
+              style={{ flex: 1, minWidth: 0, height: "100%", objectFit: "cover", opacity: 0.85 }}
+            />
+          ))}
+        </div>
+
+        {ticks.filter(inView).map((t) => (
+          <div
+            key={t}
+            style={{
+              position: "absolute",
+              top: 0,
+              left: pct(t),
+              marginLeft: -4,
+              borderLeft: "4px solid transparent",
+              borderRight: "4px solid transparent",
+              borderTop: "6px solid #ffd600",
+              pointerEvents: "none",
+            }}
+          />
+        ))}
+
+        {inView(currentTime) && (
+          <div
+            style={{
+              position: "absolute",
+              top: 0,
+              bottom: 0,
+              left: pct(currentTime),
+              width: 2,
+              background: "#fff",
+              pointerEvents: "none",
+            }}
+          />
+        )}
+
+        {markers.map((m) => {
+          const t = drag?.id === m.id ? drag.time : m.time;
+          if (!inView(t)) return null;
+          return (
+            <div
+              key={m.id}
+              title={`${m.label} — drag to move`}
+              onPointerDown={(e) => handleMarkerPointerDown(e, m)}
+              style={{
+                position: "absolute",
+                top: 0,
+                bottom: 0,
+                left: pct(t),
+                width: 12,
+                marginLeft: -6,
+                cursor: "grab",
+              }}
+            >
+              <div style={{ margin: "0 auto", width: 2, height: "100%", background: m.color }} />
+              <div
+                style={{
+                  position: "absolute",
+                  bottom: 0,
+                  left: 8,
+                  fontSize: 10,
+                  color: m.color,
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {m.label}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12 }}>
+        <span>
+          {view.start.toFixed(2)}s – {(view.start + span).toFixed(2)}s
+        </span>
+        <button type="button" style={buttonStyle} onClick={() => zoom(0.5)}>
+          Zoom +
+        </button>
+        <button type="button" style={buttonStyle} onClick={() => zoom(2)}>
+          Zoom −
+        </button>
+        <button type="button" style={buttonStyle} onClick={zoomToTags}>
+          Tags
+        </button>
+        <button
+          type="button"
+          style={buttonStyle}
+          onClick={() => setView({ start: 0, end: duration })}
+        >
+          All
+        </button>
+        <label style={{ display: "flex", alignItems: "center", gap: 4, marginLeft: "auto" }}>
+          Shuttle
+          <input
+            type="range"
+            min={-1}
+            max={1}
+            step={0.05}
+            value={shuttle}
+            onChange={(e) => setShuttle(Number(e.target.value))}
+            onPointerUp={() => setShuttle(0)}
+            onKeyUp={() => setShuttle(0)}
+            style={{ width: 120 }}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
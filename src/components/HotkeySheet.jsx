@@ -0,0 +1,60 @@
+// src/components/HotkeySheet.jsx
+import React, { useState } from "react";
+import { keyCombo } from "../utils/hotkeys";
+
+const keyStyle = {
+  display: "inline-block",
+  minWidth: 24,
+  padding: "1px 6px",
+  border: "1px solid #999",
+  borderRadius: 4,
+  fontFamily: "monospace",
+  textAlign: "center",
+};
+
+/*
+  Cheat sheet for the tagger's shortcuts. "Change" listens for the next key press;
+  Escape cancels. Key events are stopped here so the tagger doesn't act on them.
+*/
+export default function HotkeySheet({ actions, hotkeys, onRebind, onReset }) {
+  const [capturing, setCapturing] = useState(null);
+
+  function handleKeyDown(e) {
+    if (!capturing) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      setCapturing(null);
+      return;
+    }
+    const combo = keyCombo(e);
+    if (!combo) return;
+    onRebind(capturing, combo);
+    setCapturing(null);
+  }
+
+  return (
+    <div onKeyDown={handleKeyDown} style={{ fontSize: 12, display: "grid", gap: 4 }}>
+      {actions.map((a) => (
+        <div key={a.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={{ width: 140 }}>{a.label}</span>
+          <span style={keyStyle}>
+            {capturing === a.id ? "press a key…" : hotkeys[a.id] || "—"}
+          </span>
+          <button
+            type="button"
+            style={{ fontSize: 11, padding: "1px 6px" }}
+            onClick={() => setCapturing(capturing === a.id ? null : a.id)}
+          >
+            {capturing === a.id ? "Cancel" : "Change"}
+          </button>
+        </div>
+      ))}
+      <div>
+        <button type="button" style={{ fontSize: 11 }} onClick={onReset}>
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
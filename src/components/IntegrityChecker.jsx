@@ -0,0 +1,207 @@
+// src/components/IntegrityChecker.jsx
+import React, { useState } from "react";
+import {
+  ISSUE_ORPHAN_CLIP,
+  ISSUE_MISSING_CLIP,
+  ISSUE_UNREADABLE,
+  ISSUE_MISSING_OWNER,
+  scanIntegrity,
+  relinkCandidates,
+  restoreRecord,
+  relinkRecord,
+  repairOwner,
+  deleteIssueItem,
+} from "../utils/integrity";
+import { formatBytes } from "../utils/storageUsage";
+
+const SECTIONS = [
+  {
+    type: ISSUE_ORPHAN_CLIP,
+    title: "Clips with no record",
+    help: "Video is stored but nothing in the library points at it.",
+  },
+  {
+    type: ISSUE_MISSING_CLIP,
+    title: "Records with no clip",
+    help: "The swing, pitch or matchup is listed but its video is gone.",
+  },
+  {
+    type: ISSUE_UNREADABLE,
+    title: "Unreadable clips",
+    help: "The stored video is empty or the browser can't decode it.",
+  },
+  {
+    type: ISSUE_MISSING_OWNER,
+    title: "Missing player",
+    help: "The hitter or pitcher this belongs to was deleted.",
+  },
+];
+
+export default function IntegrityChecker({ onRepaired }) {
+  const [issues, setIssues] = useState(null);
+  const [decode, setDecode] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [relinkTo, setRelinkTo] = useState({});
+
+  // With `decode` on, unreadable-clip issues only show up in a decoding scan.
+  const scan = () =>
+    scanIntegrity({
+      decode,
+      onProgress: (done, total) => setStatus(`Decoding clips ${done}/${total}…`),
+    });
+
+  async function runScan() {
+    try {
+      setBusy(true);
+      setError("");
+      setStatus("Scanning…");
+      const found = await scan();
+      setIssues(found);
+      setRelinkTo({});
+      setStatus(found.length ? "" : "No problems found.");
+    } catch (err) {
+      console.error("[IntegrityChecker] scan failed:", err);
+      setError(err.message || "Scan failed.");
+      setStatus("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Run one fix, then rescan so dependent items (e.g. relink partners) update.
+  async function apply(fix, done) {
+    try {
+      setBusy(true);
+      setError("");
+      await fix();
+      if (onRepaired) await onRepaired();
+      setStatus("Rescanning…");
+      setIssues(await scan());
+      setStatus(done);
+    } catch (err) {
+      console.error("[IntegrityChecker] fix failed:", err);
+      setError(err.message || "Fix failed. Nothing was changed.");
+      setStatus("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleDelete(issue) {
+    const what = issue.type === ISSUE_ORPHAN_CLIP ? "this clip" : `this ${issue.label.toLowerCase()}`;
+    if (!window.confirm(`Permanently delete ${what}?`)) return;
+    apply(() => deleteIssueItem(issue), "Deleted.");
+  }
+
+  function handleRelink(issue) {
+    const partner = relinkCandidates(issues, issue).find((c) => c.id === relinkTo[issue.id]);
+    if (!partner) return;
+    const [record, clip] = issue.type === ISSUE_MISSING_CLIP ? [issue, partner] : [partner, issue];
+    apply(() => relinkRecord(record, clip), "Relinked.");
+  }
+
+  function renderActions(issue) {
+    const candidates =
+      issue.type === ISSUE_ORPHAN_CLIP || issue.type === ISSUE_MISSING_CLIP
+        ? relinkCandidates(issues, issue)
+        : [];
+    return (
+      <>
+        {issue.type === ISSUE_ORPHAN_CLIP && (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => apply(() => restoreRecord(issue), "Record restored.")}
+          >
+            Restore
+          </button>
+        )}
+        {issue.type === ISSUE_MISSING_OWNER && (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => apply(() => repairOwner(issue), "Player relinked.")}
+          >
+            Repair
+          </button>
+        )}
+        {candidates.length > 0 && (
+          <>
+            <select
+              value={relinkTo[issue.id] || ""}
+              onChange={(e) => setRelinkTo((prev) => ({ ...prev, [issue.id]: e.target.value }))}
+              style={{ maxWidth: 180 }}
+            >
+              <option value="">Relink to…</option>
+              {candidates.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.summary}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              disabled={busy || !relinkTo[issue.id]}
+              onClick={() => handleRelink(issue)}
+            >
+              Relink
+            </button>
+          </>
+        )}
+        <button type="button" disabled={busy} onClick={() => handleDelete(issue)}>
+          Delete
+        </button>
+      </>
+    );
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 12, maxWidth: 680 }}>
+      <div style={{ fontSize: 12, opacity: 0.75 }}>
+        Compares stored video with the swings, pitches and matchups in your library. Nothing is
+        changed until you pick a fix.
+      </div>
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <button type="button" onClick={runScan} disabled={busy}>
+          Scan Library
+        </button>
+        <label style={{ fontSize: 13 }}>
+          <input type="checkbox" checked={decode} onChange={(e) => setDecode(e.target.checked)} />{" "}
+          Also test-decode every clip (slow)
+        </label>
+      </div>
+
+      {issues &&
+        SECTIONS.map(({ type, title, help }) => {
+          const list = issues.filter((i) => i.type === type);
+          if (!list.length) return null;
+          return (
+            <div key={type}>
+              <h3>
+                {title} ({list.length})
+              </h3>
+              <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 6 }}>{help}</div>
+              {list.map((issue) => (
+                <div
+                  key={issue.id}
+                  style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}
+                >
+                  <span style={{ flex: 1 }}>
+                    {issue.label}: {issue.summary}
+                    {issue.size ? ` • ${formatBytes(issue.size)}` : ""}
+                  </span>
+                  {renderActions(issue)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+
+      {busy && <div>Working…</div>}
+      {status && <div>{status}</div>}
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+// src/components/LibraryBackup.jsx
+import React, { useState } from "react";
+import {
+  exportLibrary,
+  openArchive,
+  findCollisions,
+  importArchive,
+  importPlayerPackage,
+  isPlayerPackage,
+  archiveCounts,
+  archiveFileName,
+  downloadBlob,
+} from "../utils/libraryArchive";
+
+export default function LibraryBackup({ onImported }) {
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [archive, setArchive] = useState(null);
+  const [collisions, setCollisions] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [onCollision, setOnCollision] = useState("skip");
+
+  async function handleExport() {
+    try {
+      setBusy(true);
+      setError("");
+      setStatus("Packing library…");
+      const blob = await exportLibrary();
+      downloadBlob(blob, archiveFileName());
+      setStatus(`Exported ${(blob.size / 1e6).toFixed(1)} MB.`);
+    } catch (err) {
+      console.error("[LibraryBackup] export failed:", err);
+      setError(err.message || "Export failed.");
+      setStatus("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handlePickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    setArchive(null);
+    setCollisions(null);
+    setError("");
+    setStatus("");
+    if (!file) return;
+    try {
+      setBusy(true);
+      const opened = await openArchive(file);
+      setArchive(opened);
+      if (!isPlayerPackage(opened.manifest)) {
+        setCollisions(await findCollisions(opened.manifest));
+      }
+    } catch (err) {
+      console.error("[LibraryBackup] open failed:", err);
+      setError(err.message || "Could not read that file.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleImportPlayer() {
+    try {
+      setBusy(true);
+      setError("");
+      const { name, renamed, clips } = await importPlayerPackage(archive);
+      const from = archive.manifest.playerName;
+      setStatus(
+        `Imported ${name}${renamed ? ` (renamed from "${from}")` : ""} with ${clips} clips.`
+      );
+      setArchive(null);
+      if (onImported) await onImported();
+    } catch (err) {
+      console.error("[LibraryBackup] player import failed:", err);
+      setError(err.message || "Import failed. Nothing was changed.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleImport() {
+    if (!archive) return;
+    if (
+      mode === "replace" &&
+      !window.confirm("Replace EVERYTHING in this browser with the archive?")
+    ) {
+      return;
+    }
+    try {
+      setBusy(true);
+      setError("");
+      setStatus("Importing…");
+      const { added, replaced, skipped } = await importArchive(archive, {
+        mode,
+        onCollision,
+      });
+      setStatus(`Imported: ${added} added, ${replaced} replaced, ${skipped} skipped.`);
+      setArchive(null);
+      setCollisions(null);
+      if (onImported) await onImported();
+    } catch (err) {
+      console.error("[LibraryBackup] import failed:", err);
+      setError(err.message || "Import failed. Nothing was changed.");
+      setStatus("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const counts = archive ? archiveCounts(archive.manifest) : null;
+  const isPackage = !!archive && isPlayerPackage(archive.manifest);
+
+  return (
+    <div style={{ display: "grid", gap: 16, maxWidth: 520 }}>
+      <div>
+        <h3>Export Library</h3>
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 6 }}>
+          One .zip with every hitter, pitcher, team, swing, pitch and matchup, including video.
+        </div>
+        <button type="button" onClick={handleExport} disabled={busy}>
+          Export Library
+        </button>
+      </div>
+
+      <div>
+        <h3>Import Library or Player</h3>
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 6 }}>
+          Accepts a full library export or a single hitter/pitcher package.
+        </div>
+        <input type="file" accept=".zip,application/zip" onChange={handlePickFile} disabled={busy} />
+
+        {counts && isPackage && (
+          <div style={{ display: "grid", gap: 8, marginTop: 8, fontSize: 13 }}>
+            <div>
+              {archive.manifest.kind === "hitter" ? "Hitter" : "Pitcher"} package:{" "}
+              <strong>{archive.manifest.playerName}</strong> —{" "}
+              {archive.manifest.kind === "hitter"
+                ? `${counts.swings} swings`
+                : `${counts.pitches} pitches`}
+              . Added as a new player; renamed if the name is taken.
+            </div>
+            <button type="button" onClick={handleImportPlayer} disabled={busy}>
+              Import Player
+            </button>
+          </div>
+        )}
+
+        {counts && !isPackage && (
+          <div style={{ display: "grid", gap: 8, marginTop: 8, fontSize: 13 }}>
+            <div>
+              Archive from {archive.manifest.exportedAt?.slice(0, 10) || "unknown date"}:{" "}
+              {counts.hitters} hitters, {counts.pitchers} pitchers, {counts.teams} teams,{" "}
+              {counts.swings} swings, {counts.pitches} pitches, {counts.matchups} matchups.
+            </div>
+
+            {collisions && (collisions.total > 0 ||
+              collisions.hittersByName.length > 0 ||
+              collisions.pitchersByName.length > 0) && (
+              <div style={{ background: "#ffd", padding: "6px 8px", borderRadius: 4 }}>
+                {collisions.total > 0 && (
+                  <div>{collisions.total} records already exist in this browser.</div>
+                )}
+                {collisions.hittersByName.length > 0 && (
+                  <div>
+                    Hitters with the same name (will be merged):{" "}
+                    {collisions.hittersByName.join(", ")}
+                  </div>
+                )}
+                {collisions.pitchersByName.length > 0 && (
+                  <div>
+                    Pitchers with the same name (will be merged):{" "}
+                    {collisions.pitchersByName.join(", ")}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />{" "}
+              Merge into my library
+            </label>
+            {mode === "merge" && collisions?.total > 0 && (
+              <label style={{ paddingLeft: 20 }}>
+                When a record already exists:{" "}
+                <select value={onCollision} onChange={(e) => setOnCollision(e.target.value)}>
+                  <option value="skip">Keep mine</option>
+                  <option value="overwrite">Use the archive's</option>
+                </select>
+              </label>
+            )}
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />{" "}
+              Replace my library
+            </label>
+
+            <button type="button" onClick={handleImport} disabled={busy}>
+              Import
+            </button>
+          </div>
+        )}
+      </div>
+
+      {busy && <div>Working…</div>}
+      {status && <div>{status}</div>}
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+    </div>
+  );
+}
@@ -1,93 +1,265 @@
 // src/components/MatchupPlayer.jsx
-import React, { useState, useRef } from "react";
-
-export default function MatchupPlayer({ swings, pitches }) {
-  const [selectedSwing, setSelectedSwing] = useState(null);
-  const [selectedPitch, setSelectedPitch] = useState(null);
-  const videoRef = useRef(null);
-
-  const fps = 30; // keep consistent
-  const flashDuration = 10; // frames
-
-  const handlePlay = () => {
-    if (!selectedSwing || !selectedPitch) return;
-
-    const { swingTime } = selectedSwing;
-    const { clipUrl, contactFrame } = selectedPitch;
-
-    const swingStartFrame = contactFrame - Math.floor(swingTime * fps);
-
-    const video = videoRef.current;
-    if (video) {
-      video.currentTime = (contactFrame - fps * 2) / fps; // 2s before contact
-      video.play();
-
-      // flash at swing start
-      const checkFrame = () => {
-        const currentFrame = Math.floor(video.currentTime * fps);
-        if (currentFrame >= swingStartFrame &&
-            currentFrame <= swingStartFrame + flashDuration) {
-          document.getElementById("flash-overlay").style.display = "block";
-        } else {
-          document.getElementById("flash-overlay").style.display = "none";
-        }
-        requestAnimationFrame(checkFrame);
-      };
-      requestAnimationFrame(checkFrame);
-    }
+import React, { useEffect, useRef, useState } from "react";
+import { layoutGeometry } from "../utils/matchupLayouts";
+
+const PREVIEW_RATES = [0.1, 0.25, 0.5, 1];
+// A playing clip is re-seeked when it drifts this far (s) from the shared clock.
+const MAX_DRIFT = 0.04;
+// playbackRate browsers accept; setting anything outside throws NotSupportedError.
+const MIN_PLAYBACK_RATE = 0.0625;
+const MAX_PLAYBACK_RATE = 16;
+// Stand-in clip size until a video's metadata loads.
+const PENDING_DIMS = { width: 1280, height: 720 };
+
+// Keep one video at media time `m`: playing at `rate` while the clock is running and `m`
+// is inside the clip, otherwise paused on the nearest frame. Rates the element can't play
+// (very slow or very fast files at the chosen speed) are followed by seeking every tick.
+function place(video, m, duration, rate, running) {
+  if (!video || !(duration > 0)) return;
+  const inside = m >= 0 && m < duration;
+  const playable = rate >= MIN_PLAYBACK_RATE && rate <= MAX_PLAYBACK_RATE;
+  if (!running || !inside || !playable) {
+    if (!video.paused) video.pause();
+    const target = Math.min(Math.max(m, 0), duration - 1e-3);
+    if (Math.abs(video.currentTime - target) > 1e-3) video.currentTime = target;
+    return;
+  }
+  video.playbackRate = rate;
+  if (Math.abs(video.currentTime - m) > MAX_DRIFT) video.currentTime = m;
+  if (video.paused) video.play().catch(() => {});
+}
+
+/*
+  Synchronized preview of a matchup before rendering. One clock — real seconds from the
+  first frame of either clip — drives both videos with the compositor's alignment: the
+  swing starts `diff` real seconds after the pitch (contactDiff, offset included), or
+  both clips end together when contacts aren't tagged. `pitchScale` / `swingScale` turn
+  media seconds into real seconds for slow-motion files; `contact` is the pitch's
+  contact in real seconds on its clip. `overlay` ({ color, opacity }) tints the pitch
+  while the swing is moving, like the render. `layout`, `pipRect` and `maxWidth` place
+  the clips as the render will (see matchupLayouts.js), scaled to the available width.
+*/
+export default function MatchupPlayer({
+  pitchBlob,
+  swingBlob,
+  pitchScale = 1,
+  swingScale = 1,
+  stepFps = 30,
+  diff = null,
+  contact = null,
+  pitchVolume = 1,
+  swingVolume = 1,
+  overlay = null,
+  layout = "sidebyside",
+  pipRect,
+  maxWidth = 960,
+}) {
+  const pitchRef = useRef(null);
+  const swingRef = useRef(null);
+  const clockRef = useRef(0);
+  const [urls, setUrls] = useState(null);
+  const [durations, setDurations] = useState({ pitch: 0, swing: 0 }); // media seconds
+  const [dims, setDims] = useState({ pitch: PENDING_DIMS, swing: PENDING_DIMS });
+  const [clock, setClock] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [rate, setRate] = useState(1);
+
+  useEffect(() => {
+    const next = { pitch: URL.createObjectURL(pitchBlob), swing: URL.createObjectURL(swingBlob) };
+    setUrls(next);
+    return () => {
+      URL.revokeObjectURL(next.pitch);
+      URL.revokeObjectURL(next.swing);
+    };
+  }, [pitchBlob, swingBlob]);
+
+  const pitchDur = durations.pitch * pitchScale;
+  const swingDur = durations.swing * swingScale;
+  const lag = diff ?? Math.max(pitchDur - swingDur, 0);
+  const origin = Math.min(0, lag);
+  const total = Math.max(0, Math.max(pitchDur, lag + swingDur) - origin);
+  const pitchReal = clock + origin;
+  const swingReal = pitchReal - lag;
+  const swingMoving = swingReal >= 0 && swingReal < swingDur;
+
+  const seek = (t) => {
+    const next = Math.min(Math.max(t, 0), total);
+    clockRef.current = next;
+    setClock(next);
   };
 
-  return (
-    <div style={{ marginBottom: "2rem" }}>
-      <h2>Matchup</h2>
-
-      <div style={{ display: "flex", gap: "1rem" }}>
-        {/* Swing dropdown */}
-        <select onChange={(e) => setSelectedSwing(JSON.parse(e.target.value))}>
-          <option value="">Select Swing</option>
-          {swings.map((s, i) => (
-            <option key={i} value={JSON.stringify(s)}>
-              {s.hitterName} – {s.swingTime}s
-            </option>
-          ))}
-        </select>
+  // The clock runs on animation frames; the videos follow it.
+  useEffect(() => {
+    if (!playing) return;
+    let raf = 0;
+    let last = performance.now();
+    const tick = (now) => {
+      const next = clockRef.current + ((now - last) / 1000) * rate;
+      last = now;
+      if (next >= total) {
+        clockRef.current = total;
+        setClock(total);
+        setPlaying(false);
+        return;
+      }
+      clockRef.current = next;
+      setClock(next);
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, rate, total]);
 
-        {/* Pitch dropdown */}
-        <select onChange={(e) => setSelectedPitch(JSON.parse(e.target.value))}>
-          <option value="">Select Pitch</option>
-          {pitches.map((p, i) => (
-            <option key={i} value={JSON.stringify(p)}>
-              {p.pitcherName} – Frame {p.contactFrame}
-            </option>
-          ))}
-        </select>
+  useEffect(() => {
+    place(pitchRef.current, pitchReal / pitchScale, durations.pitch, rate / pitchScale, playing);
+    place(swingRef.current, swingReal / swingScale, durations.swing, rate / swingScale, playing);
+  }, [pitchReal, swingReal, pitchScale, swingScale, durations, rate, playing]);
 
-        <button onClick={handlePlay}>Play Matchup</button>
-      </div>
+  useEffect(() => {
+    if (pitchRef.current) pitchRef.current.volume = pitchVolume;
+    if (swingRef.current) swingRef.current.volume = swingVolume;
+  }, [pitchVolume, swingVolume, urls]);
+
+  function togglePlay() {
+    if (!playing && clock >= total) seek(0);
+    setPlaying(!playing);
+  }
+
+  function step(frames) {
+    setPlaying(false);
+    seek(clockRef.current + frames / stepFps);
+  }
 
-      {/* Video with overlay */}
-      {selectedPitch && (
-        <div style={{ position: "relative", marginTop: "1rem" }}>
-          <video
-            ref={videoRef}
-            src={selectedPitch.clipUrl}
-            width="480"
-            controls
+  const contactClock = contact != null ? contact - origin : null;
+  const ready = total > 0;
+
+  const geometry = layoutGeometry(layout, dims, { maxWidth, pipRect: pipRect || undefined });
+  // Percentages of the frame, so the preview scales with its container.
+  const box = ({ x, y, w, h }) => ({
+    position: "absolute",
+    left: `${(x / geometry.width) * 100}%`,
+    top: `${(y / geometry.height) * 100}%`,
+    width: `${(w / geometry.width) * 100}%`,
+    height: `${(h / geometry.height) * 100}%`,
+  });
+  const loaded = (side) => (e) => {
+    const { duration, videoWidth, videoHeight } = e.currentTarget;
+    setDurations((d) => ({ ...d, [side]: duration }));
+    if (videoWidth && videoHeight) {
+      setDims((d) => ({ ...d, [side]: { width: videoWidth, height: videoHeight } }));
+    }
+  };
+
+  if (!urls) return null;
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <div
+        style={{
+          position: "relative",
+          width: "100%",
+          // Tall (stacked) previews stay within the window.
+          maxWidth: `${(70 * geometry.width) / geometry.height}vh`,
+          aspectRatio: `${geometry.width} / ${geometry.height}`,
+          background: "black",
+        }}
+      >
+        <video
+          ref={pitchRef}
+          src={urls.pitch}
+          playsInline
+          preload="auto"
+          onLoadedMetadata={loaded("pitch")}
+          style={{ ...box(geometry.pitch), objectFit: "fill" }}
+        />
+        {overlay && swingMoving && (
+          <div
+            style={{
+              ...box(geometry.pitch),
+              background: overlay.color,
+              opacity: overlay.opacity,
+              pointerEvents: "none",
+            }}
           />
+        )}
+        <video
+          ref={swingRef}
+          src={urls.swing}
+          playsInline
+          preload="auto"
+          onLoadedMetadata={loaded("swing")}
+          style={{
+            ...box(geometry.swing),
+            objectFit: "fill",
+            opacity: geometry.swingAlpha,
+            boxSizing: "border-box",
+            border: geometry.inset ? "2px solid white" : "none",
+          }}
+        />
+      </div>
+
+      <div style={{ position: "relative" }}>
+        <input
+          type="range"
+          min={0}
+          max={total || 1}
+          step={0.001}
+          value={clock}
+          onChange={(e) => {
+            setPlaying(false);
+            seek(Number(e.target.value));
+          }}
+          disabled={!ready}
+          style={{ width: "100%" }}
+        />
+        {ready && contactClock != null && (
           <div
-            id="flash-overlay"
+            title="Contact"
             style={{
               position: "absolute",
-              top: 0,
-              left: 0,
-              width: "100%",
-              height: "100%",
-              backgroundColor: "rgba(255, 0, 0, 0.6)",
-              display: "none",
+              top: -4,
+              left: `${(contactClock / total) * 100}%`,
+              width: 2,
+              height: 8,
+              background: "crimson",
+              pointerEvents: "none",
             }}
           />
-        </div>
-      )}
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+        <button type="button" onClick={() => step(-1)} disabled={!ready}>
+          ◀ Frame
+        </button>
+        <button type="button" onClick={togglePlay} disabled={!ready}>
+          {playing ? "Pause" : "Play"}
+        </button>
+        <button type="button" onClick={() => step(1)} disabled={!ready}>
+          Frame ▶
+        </button>
+        <select value={rate} onChange={(e) => setRate(Number(e.target.value))}>
+          {PREVIEW_RATES.map((r) => (
+            <option key={r} value={r}>
+              {r}×
+            </option>
+          ))}
+        </select>
+        {contactClock != null && (
+          <button
+            type="button"
+            onClick={() => {
+              setPlaying(false);
+              seek(contactClock);
+            }}
+            disabled={!ready}
+          >
+            Go to contact
+          </button>
+        )}
+        <span style={{ fontFamily: "monospace", fontSize: 12 }}>
+          {clock.toFixed(3)}s / {total.toFixed(3)}s
+        </span>
+      </div>
     </div>
   );
 }
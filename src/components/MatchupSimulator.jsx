@@ -1,11 +1,30 @@
 // src/components/MatchupSimulator.jsx
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useRef, useEffect } from "react";
 import {
   getPitchClipBlob,
   getSwingClipBlob,
   saveMatchupClip,
-  listMatchupClipKeys,
+  findById,
+  recordFps,
+  captureFps,
+  realTimeScale,
+  swingDuration,
+  swingPhaseDurations,
 } from "../utils/dataModel";
+import { clipContactTime } from "../utils/captureFrames";
+import { renderMatchup } from "../utils/matchupRender";
+import { loadSettings, saveSettings } from "../utils/settings";
+import {
+  DEFAULT_RENDER_TEMPLATE,
+  loadRenderTemplates,
+  saveRenderTemplate,
+  deleteRenderTemplate,
+} from "../utils/renderTemplates";
+import { MATCHUP_LAYOUTS, DEFAULT_PIP_RECT, layoutLabel } from "../utils/matchupLayouts";
+import { videoDimensions } from "../utils/clipExtractor";
+import RenderTemplateEditor from "./RenderTemplateEditor";
+import PipPlacement from "./PipPlacement";
+import MatchupPlayer from "./MatchupPlayer";
 
 function downloadBlob(blob, name) {
   const url = URL.createObjectURL(blob);
@@ -16,8 +35,27 @@ function downloadBlob(blob, name) {
   URL.revokeObjectURL(url);
 }
 
+// Manual sync correction, real milliseconds either way (+ = swing later).
+const MAX_SYNC_OFFSET_MS = 300;
+
+// Real seconds the swing clip's first frame comes after the pitch clip's so the tagged
+// contacts land on the same instant, plus the manual `offset`. Null if either is untagged.
+function contactDiff(pitch, swing, offset = 0) {
+  const pitchContact = clipContactTime("pitch", pitch);
+  const swingContact = clipContactTime("swing", swing);
+  if (pitchContact == null || swingContact == null) return null;
+  return pitchContact * realTimeScale(pitch) - swingContact * realTimeScale(swing) + offset;
+}
+
 // ---------- EXPORT FRAME AT SWING START ----------
-async function exportPitcherSwingStartFrame(pitchBlob, swingBlob, pitcherName) {
+// `pitchScale` / `swingScale`: media seconds → real seconds for each clip. `diff` is
+// contactDiff(); without it the clips are assumed to end together.
+async function exportPitcherSwingStartFrame(
+  pitchBlob,
+  swingBlob,
+  pitcherName,
+  { pitchScale = 1, swingScale = 1, diff = null } = {}
+) {
   try {
     const pitchVideo = document.createElement("video");
     const swingVideo = document.createElement("video");
@@ -31,9 +69,12 @@ async function exportPitcherSwingStartFrame(pitchBlob, swingBlob, pitcherName) {
       new Promise((r) => (swingVideo.onloadedmetadata = r)),
     ]);
 
-    // compute when swing starts in pitch timeline
-    const diff = Math.max(pitchVideo.duration - swingVideo.duration, 0);
-    pitchVideo.currentTime = diff;
+    // compute when swing starts in pitch timeline (in real time, then back to pitch media time)
+    const swingStart = Math.max(
+      diff ?? pitchVideo.duration * pitchScale - swingVideo.duration * swingScale,
+      0
+    );
+    pitchVideo.currentTime = swingStart / pitchScale;
 
     // wait until frame is fully decoded
     await new Promise((resolve) => {
@@ -72,252 +113,6 @@ async function exportPitcherSwingStartFrame(pitchBlob, swingBlob, pitcherName) {
   }
 }
 
-// ---------- render ----------
-async function renderMatchup(pitchBlob, swingBlob, info, fps = 30) {
-  const pitchVideo = document.createElement("video");
-  const swingVideo = document.createElement("video");
-  pitchVideo.src = URL.createObjectURL(pitchBlob);
-  swingVideo.src = URL.createObjectURL(swingBlob);
-  pitchVideo.muted = swingVideo.muted = true;
-  pitchVideo.playsInline = swingVideo.playsInline = true;
-
-  await Promise.all([
-    new Promise((r) => (pitchVideo.onloadeddata = r)),
-    new Promise((r) => (swingVideo.onloadeddata = r)),
-  ]);
-
-  pitchVideo.currentTime = 0;
-  swingVideo.currentTime = 0;
-  await Promise.all([
-    new Promise((r) => (pitchVideo.onseeked = r)),
-    new Promise((r) => (swingVideo.onseeked = r)),
-  ]);
-
-  const tmpCanvas = document.createElement("canvas");
-  const tmpCtx = tmpCanvas.getContext("2d");
-  tmpCanvas.width = Math.max(pitchVideo.videoWidth, swingVideo.videoWidth);
-  tmpCanvas.height = Math.max(pitchVideo.videoHeight, swingVideo.videoHeight);
-
-  tmpCtx.drawImage(pitchVideo, 0, 0);
-  const pitchFirst = new Image();
-  pitchFirst.src = tmpCanvas.toDataURL("image/png");
-
-  tmpCtx.clearRect(0, 0, tmpCanvas.width, tmpCanvas.height);
-  tmpCtx.drawImage(swingVideo, 0, 0);
-  const swingFirst = new Image();
-  swingFirst.src = tmpCanvas.toDataURL("image/png");
-
-  const targetTotalWidth = 960;
-  const totalOriginalWidth = pitchVideo.videoWidth + swingVideo.videoWidth;
-  const scale = Math.min(targetTotalWidth / totalOriginalWidth, 1);
-
-  const pitchW = Math.floor(pitchVideo.videoWidth * scale);
-  const swingW = Math.floor(swingVideo.videoWidth * scale);
-  const height = Math.max(
-    Math.floor(pitchVideo.videoHeight * scale),
-    Math.floor(swingVideo.videoHeight * scale)
-  );
-  const width = pitchW + swingW;
-
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext("2d");
-
-  const stream = canvas.captureStream(fps);
-  const chunks = [];
-  const recorder = new MediaRecorder(stream, {
-    mimeType: "video/webm;codecs=vp9",
-    videoBitsPerSecond: 10000000,
-  });
-  recorder.ondataavailable = (e) => e.data && chunks.push(e.data);
-  const done = new Promise((r) => (recorder.onstop = r));
-  recorder.start();
-
-  const titleSec = 5;
-  const freezeStartSec = 2;
-  const freezeEndSec = 2;
-  const diff = Math.max(pitchVideo.duration - swingVideo.duration, 0);
-
-  let startedPitch = false;
-  let startedSwing = false;
-  let endedPitch = false;
-  let endedSwing = false;
-  let holdFinal = false;
-  let finalFrameTime = 0;
-  let replaying = false;
-
-  // ✅ Corrected swing duration calculation
-  const frames =
-    info.contactFrame != null && info.startFrame != null
-      ? info.contactFrame - info.startFrame + 1
-      : 0;
-  const swingDurationSeconds = frames / fps;
-  const trueSwingDuration = swingDurationSeconds.toFixed(3);
-
-  const titleLines = [
-    `Hitter: ${info.hitterName}`,
-    info.swingDesc ? `Swing: ${info.swingDesc}` : "",
-    `Pitcher: ${info.pitcherName}`,
-    info.pitchDesc ? `Pitch: ${info.pitchDesc}` : "",
-    `Swing Duration: ${trueSwingDuration}s`,
-  ].filter(Boolean);
-
-  const startTime = performance.now();
-
-  const draw = () => {
-    const elapsed = (performance.now() - startTime) / 1000;
-    ctx.clearRect(0, 0, width, height);
-
-    // ---- TITLE ----
-    if (!replaying && elapsed < titleSec) {
-      ctx.fillStyle = "black";
-      ctx.fillRect(0, 0, width, height);
-      const fontSize = Math.max(14, Math.floor(height / 28));
-      ctx.font = `bold ${fontSize}px sans-serif`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.lineWidth = 4;
-      ctx.strokeStyle = "black";
-      ctx.fillStyle = "white";
-      const lineHeight = fontSize * 1.5;
-      const totalTextHeight = lineHeight * titleLines.length;
-      const startY = height / 2 - totalTextHeight / 2;
-      titleLines.forEach((line, i) => {
-        const y = startY + i * lineHeight;
-        ctx.strokeText(line, width / 2, y);
-        ctx.fillText(line, width / 2, y);
-      });
-      requestAnimationFrame(draw);
-      return;
-    }
-
-    // ---- FROZEN START ----
-    if (!replaying && elapsed < titleSec + freezeStartSec) {
-      if (pitchFirst.complete) ctx.drawImage(pitchFirst, 0, 0, pitchW, height);
-      if (swingFirst.complete)
-        ctx.drawImage(swingFirst, pitchW, 0, swingW, height);
-      requestAnimationFrame(draw);
-      return;
-    }
-
-    const playTime = elapsed - (titleSec + freezeStartSec);
-
-    if (!startedPitch) {
-      pitchVideo.playbackRate = replaying ? 0.25 : 1;
-      pitchVideo.play().catch(() => {});
-      startedPitch = true;
-    }
-    if (!startedSwing && playTime >= diff) {
-      swingVideo.playbackRate = replaying ? 0.25 : 1;
-      swingVideo.play().catch(() => {});
-      startedSwing = true;
-    }
-
-    ctx.drawImage(pitchVideo, 0, 0, pitchW, height);
-    if (startedSwing && !endedSwing) {
-      ctx.fillStyle = "rgba(255,255,0,0.35)";
-      ctx.fillRect(0, 0, pitchW, height);
-    }
-    ctx.drawImage(swingVideo, pitchW, 0, swingW, height);
-
-    endedPitch = pitchVideo.ended;
-    endedSwing = swingVideo.ended;
-
-    if (endedPitch && endedSwing) {
-      if (!holdFinal) {
-        holdFinal = true;
-        finalFrameTime = performance.now();
-      }
-
-      const sinceFinal = (performance.now() - finalFrameTime) / 1000;
-      if (sinceFinal < freezeEndSec) {
-        requestAnimationFrame(draw);
-        return;
-      }
-
-      if (!replaying) {
-        replaying = true;
-        startedPitch = false;
-        startedSwing = false;
-        endedPitch = false;
-        endedSwing = false;
-        holdFinal = false;
-
-        pitchVideo.currentTime = 0;
-        swingVideo.currentTime = 0;
-        pitchVideo.playbackRate = 0.25;
-        swingVideo.playbackRate = 0.25;
-
-        const replayDiff = diff * 4;
-        const replayStart = performance.now();
-        const replayHoldExtra = 1.5;
-
-        const overlayFont = Math.max(14, Math.floor(height / 25));
-        ctx.font = `bold ${overlayFont}px sans-serif`;
-        ctx.textAlign = "center";
-        ctx.textBaseline = "top";
-
-        let replayFinalTime = 0;
-        let replayHolding = false;
-
-        const replayDraw = () => {
-          const elapsedReplay = (performance.now() - replayStart) / 1000;
-          ctx.clearRect(0, 0, width, height);
-          ctx.drawImage(pitchVideo, 0, 0, pitchW, height);
-
-          if (!startedSwing && elapsedReplay >= replayDiff) {
-            swingVideo.play().catch(() => {});
-            startedSwing = true;
-          }
-          if (startedSwing && !endedSwing) {
-            ctx.fillStyle = "rgba(255,255,0,0.35)";
-            ctx.fillRect(0, 0, pitchW, height);
-          }
-          ctx.drawImage(swingVideo, pitchW, 0, swingW, height);
-
-          ctx.lineWidth = 4;
-          ctx.strokeStyle = "black";
-          ctx.fillStyle = "white";
-          ctx.strokeText("REPLAY – 25% SPEED", width / 2, 20);
-          ctx.fillText("REPLAY – 25% SPEED", width / 2, 20);
-
-          endedPitch = pitchVideo.ended;
-          endedSwing = swingVideo.ended;
-
-          if (endedPitch && endedSwing) {
-            if (!replayHolding) {
-              replayHolding = true;
-              replayFinalTime = performance.now();
-            }
-            const sinceReplayEnd = (performance.now() - replayFinalTime) / 1000;
-            if (sinceReplayEnd >= replayHoldExtra) {
-              recorder.stop();
-              return;
-            }
-          }
-
-          requestAnimationFrame(replayDraw);
-        };
-
-        pitchVideo.play().catch(() => {});
-        requestAnimationFrame(replayDraw);
-        return;
-      }
-    }
-
-    requestAnimationFrame(draw);
-  };
-
-  requestAnimationFrame(draw);
-  await done;
-
-  const blob = new Blob(chunks, { type: "video/webm" });
-  URL.revokeObjectURL(pitchVideo.src);
-  URL.revokeObjectURL(swingVideo.src);
-  return blob;
-}
-
 // ---------- UI ----------
 export default function MatchupSimulator({
   hitters,
@@ -327,37 +122,154 @@ export default function MatchupSimulator({
   matchups,
   setMatchups,
 }) {
-  const [selectedHitter, setSelectedHitter] = useState("");
-  const [selectedSwingIndex, setSelectedSwingIndex] = useState(null);
-  const [selectedPitcher, setSelectedPitcher] = useState("");
-  const [selectedPitchIndex, setSelectedPitchIndex] = useState(null);
+  const [selectedHitterId, setSelectedHitterId] = useState("");
+  const [selectedSwingId, setSelectedSwingId] = useState("");
+  const [selectedPitcherId, setSelectedPitcherId] = useState("");
+  const [selectedPitchId, setSelectedPitchId] = useState("");
+  const [pitchVolume, setPitchVolume] = useState(1);
+  const [swingVolume, setSwingVolume] = useState(1);
+  const [mutePitcher, setMutePitcher] = useState(false);
+  // Unsaved sync corrections by "swingId|pitchId"; saved ones live on the matchup.
+  const [syncOffsets, setSyncOffsets] = useState({});
+  const [templates, setTemplates] = useState(loadRenderTemplates);
+  const [templateName, setTemplateName] = useState(() => loadSettings().renderTemplate);
+  const [editingTemplate, setEditingTemplate] = useState(false);
+  const [layout, setLayout] = useState(MATCHUP_LAYOUTS[0].id);
+  const [pipRect, setPipRect] = useState(DEFAULT_PIP_RECT);
+  const [pipAspects, setPipAspects] = useState(null); // { frame, inset } once clips load
+  const [loadedClips, setLoadedClips] = useState(null); // blobs of the selected pair
   const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null); // { stage, done, total } while rendering
+  const renderAbortRef = useRef(null);
+
+  // Leaving the simulator stops a render in progress.
+  useEffect(() => () => renderAbortRef.current?.abort(), []);
   const [error, setError] = useState("");
 
+  const hitterSwings = useMemo(
+    () => swings.filter((s) => s.hitterId === selectedHitterId),
+    [swings, selectedHitterId]
+  );
   const pitcherPitches = useMemo(
-    () => pitches.filter((p) => p.pitcherName === selectedPitcher),
-    [pitches, selectedPitcher]
+    () => pitches.filter((p) => p.pitcherId === selectedPitcherId),
+    [pitches, selectedPitcherId]
   );
 
+  const pitchClipKey = findById(pitcherPitches, selectedPitchId)?.videoKey;
+  const swingClipKey = findById(hitterSwings, selectedSwingId)?.videoKey;
+
+  // Load the selected pair for the preview and the inset placement.
+  useEffect(() => {
+    if (!pitchClipKey || !swingClipKey) return;
+    let cancelled = false;
+    Promise.all([getPitchClipBlob(pitchClipKey), getSwingClipBlob(swingClipKey)])
+      .then(([pitchBlob, swingBlob]) => {
+        if (!cancelled) setLoadedClips({ pitchClipKey, swingClipKey, pitchBlob, swingBlob });
+      })
+      .catch((err) => console.warn("[MatchupSimulator] preview clips unavailable:", err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [pitchClipKey, swingClipKey]);
+  const clips =
+    loadedClips?.pitchClipKey === pitchClipKey && loadedClips?.swingClipKey === swingClipKey
+      ? loadedClips
+      : null;
+
+  // Shape the inset placement like the selected clips.
+  useEffect(() => {
+    if (layout !== "pip" || !clips) return;
+    let cancelled = false;
+    Promise.all([videoDimensions(clips.pitchBlob), videoDimensions(clips.swingBlob)])
+      .then(([pitchDims, swingDims]) => {
+        if (cancelled) return;
+        setPipAspects({
+          frame: pitchDims.height / pitchDims.width,
+          inset: swingDims.height / swingDims.width,
+        });
+      })
+      .catch((err) => console.warn("[MatchupSimulator] clip size unavailable:", err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [layout, clips]);
+
+  const pairKey = `${selectedSwingId}|${selectedPitchId}`;
+  const savedMatchup = matchups.find(
+    (m) => m.swingId === selectedSwingId && m.pitchId === selectedPitchId
+  );
+  const syncOffset = syncOffsets[pairKey] ?? savedMatchup?.syncOffset ?? 0;
+  const template = templates.find((t) => t.name === templateName) || DEFAULT_RENDER_TEMPLATE;
+
+  function chooseTemplate(name) {
+    setTemplateName(name);
+    saveSettings({ renderTemplate: name });
+  }
+
+  function handleSaveTemplate(next) {
+    const all = saveRenderTemplate(next); // throws for built-in names; the editor shows it
+    setTemplates(all);
+    chooseTemplate(next.name.trim());
+  }
+
+  function handleDeleteTemplate(name) {
+    setTemplates(deleteRenderTemplate(name));
+    chooseTemplate(DEFAULT_RENDER_TEMPLATE.name);
+  }
+
+  // Resolves the current selection; null if anything is missing.
+  function selection() {
+    const hitter = findById(hitters, selectedHitterId);
+    const swing = findById(hitterSwings, selectedSwingId);
+    const pitcher = findById(pitchers, selectedPitcherId);
+    const pitch = findById(pitcherPitches, selectedPitchId);
+    if (!hitter || !swing || !pitcher || !pitch) return null;
+    return { hitter, swing, pitcher, pitch };
+  }
+
+  // Synchronized preview of the selected pair, with the offset and preset applied live.
+  function renderPreview() {
+    const pitch = findById(pitcherPitches, selectedPitchId);
+    const swing = findById(hitterSwings, selectedSwingId);
+    if (!clips || !pitch || !swing) return null;
+    const pitchContact = clipContactTime("pitch", pitch);
+    return (
+      <MatchupPlayer
+        pitchBlob={clips.pitchBlob}
+        swingBlob={clips.swingBlob}
+        pitchScale={realTimeScale(pitch)}
+        swingScale={realTimeScale(swing)}
+        stepFps={Math.max(captureFps(pitch), captureFps(swing))}
+        diff={contactDiff(pitch, swing, syncOffset)}
+        contact={pitchContact != null ? pitchContact * realTimeScale(pitch) : null}
+        pitchVolume={mutePitcher ? 0 : pitchVolume}
+        swingVolume={swingVolume}
+        overlay={
+          template.overlay
+            ? { color: template.overlayColor, opacity: template.overlayOpacity }
+            : null
+        }
+        layout={layout}
+        pipRect={layout === "pip" ? pipRect : null}
+        maxWidth={template.width}
+      />
+    );
+  }
+
   async function handleRender() {
-    if (
-      !selectedHitter ||
-      selectedSwingIndex == null ||
-      !selectedPitcher ||
-      selectedPitchIndex == null
-    ) {
+    const sel = selection();
+    if (!sel) {
       setError("Select all options");
       return;
     }
+    const { hitter, swing, pitcher, pitch } = sel;
+    const controller = new AbortController();
+    renderAbortRef.current = controller;
 
     try {
       setBusy(true);
       setError("");
-
-      const swing = swings.find(
-        (s, i) => s.hitterName === selectedHitter && i === selectedSwingIndex
-      );
-      const pitch = pitcherPitches[selectedPitchIndex];
+      setProgress({ stage: "loading", done: 0, total: 0 });
 
       const [pitchBlob, swingBlob] = await Promise.all([
         getPitchClipBlob(pitch.videoKey),
@@ -365,59 +277,76 @@ export default function MatchupSimulator({
       ]);
 
       const info = {
-        hitterName: selectedHitter,
+        hitterName: hitter.name,
         swingDesc: swing?.description || "",
-        pitcherName: selectedPitcher,
+        pitcherName: pitcher.name,
         pitchDesc: pitch?.description || "",
-        contactFrame: swing?.contactFrame,
-        startFrame: swing?.startFrame,
+        swingDuration: swingDuration(swing),
+        swingPhases: swingPhaseDurations(swing),
+        contactDiff: contactDiff(pitch, swing, syncOffset),
+        template,
+        layout,
+        pipRect: layout === "pip" ? pipRect : null,
+        swingFps: recordFps(swing),
+        swingCaptureFps: captureFps(swing),
+        pitchFps: recordFps(pitch),
+        pitchCaptureFps: captureFps(pitch),
       };
 
-      const blob = await renderMatchup(pitchBlob, swingBlob, info);
-      const videoKey = `${selectedHitter}_${selectedSwingIndex}_vs_${selectedPitcher}_${selectedPitchIndex}_sidebyside`;
-
-      await saveMatchupClip(videoKey, blob, {
-        hitterName: selectedHitter,
-        swingIndex: selectedSwingIndex,
-        pitcherName: selectedPitcher,
-        pitchIndex: selectedPitchIndex,
-        labelType: "sidebyside",
+      const blob = await renderMatchup(pitchBlob, swingBlob, info, {
+        pitchVolume: mutePitcher ? 0 : pitchVolume,
+        swingVolume,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      const videoKey = `${hitter.name}_${swing.id}_vs_${pitcher.name}_${pitch.id}_${layout}`;
+
+      const saved = await saveMatchupClip(videoKey, blob, {
+        hitterId: hitter.id,
+        hitterName: hitter.name,
+        swingId: swing.id,
+        pitcherId: pitcher.id,
+        pitcherName: pitcher.name,
+        pitchId: pitch.id,
+        labelType: layout,
+        pipRect: layout === "pip" ? pipRect : null,
+        syncOffset,
+        template: template.name,
         description: `${swing?.description || ""} vs ${pitch?.description || ""}`,
       });
 
-      const fresh = await listMatchupClipKeys();
-      setMatchups(fresh);
+      setMatchups([...matchups.filter((m) => m.id !== saved.id), saved]);
 
-      downloadBlob(blob, `${selectedHitter}_vs_${selectedPitcher}.webm`);
+      downloadBlob(blob, `${hitter.name}_vs_${pitcher.name}.mp4`);
     } catch (err) {
-      console.error(err);
-      setError(err.message);
+      if (!controller.signal.aborted) {
+        console.error(err);
+        setError(err.message);
+      }
     } finally {
+      renderAbortRef.current = null;
+      setProgress(null);
       setBusy(false);
     }
   }
 
   async function handleExportPitchStart() {
-    if (
-      !selectedPitcher ||
-      selectedPitchIndex == null ||
-      !selectedHitter ||
-      selectedSwingIndex == null
-    ) {
+    const sel = selection();
+    if (!sel) {
       setError("Select both pitch and swing first.");
       return;
     }
     try {
       setBusy(true);
-      const pitch = pitcherPitches[selectedPitchIndex];
-      const swing = swings.find(
-        (s, i) => s.hitterName === selectedHitter && i === selectedSwingIndex
-      );
       const [pitchBlob, swingBlob] = await Promise.all([
-        getPitchClipBlob(pitch.videoKey),
-        getSwingClipBlob(swing.videoKey),
+        getPitchClipBlob(sel.pitch.videoKey),
+        getSwingClipBlob(sel.swing.videoKey),
       ]);
-      await exportPitcherSwingStartFrame(pitchBlob, swingBlob, selectedPitcher);
+      await exportPitcherSwingStartFrame(pitchBlob, swingBlob, sel.pitcher.name, {
+        pitchScale: realTimeScale(sel.pitch),
+        swingScale: realTimeScale(sel.swing),
+        diff: contactDiff(sel.pitch, sel.swing, syncOffset),
+      });
     } catch (e) {
       console.error(e);
       setError("Failed to export swing-start frame.");
@@ -438,69 +367,171 @@ export default function MatchupSimulator({
         }}
       >
         <select
-          value={selectedHitter}
+          value={selectedHitterId}
           onChange={(e) => {
-            setSelectedHitter(e.target.value);
-            setSelectedSwingIndex(null);
+            setSelectedHitterId(e.target.value);
+            setSelectedSwingId("");
           }}
           disabled={busy}
         >
           <option value="">-- select hitter --</option>
           {hitters.map((h) => (
-            <option key={h.name} value={h.name}>
+            <option key={h.id} value={h.id}>
               {h.name}
             </option>
           ))}
         </select>
 
         <select
-          value={selectedSwingIndex ?? ""}
-          onChange={(e) => setSelectedSwingIndex(Number(e.target.value))}
-          disabled={!selectedHitter || busy}
+          value={selectedSwingId}
+          onChange={(e) => setSelectedSwingId(e.target.value)}
+          disabled={!selectedHitterId || busy}
         >
           <option value="">-- select swing --</option>
-          {swings
-            .filter((s) => s.hitterName === selectedHitter)
-            .map((s, i) => (
-              <option key={i} value={i}>
-                Swing {i + 1}
-                {s.description ? ` – ${s.description}` : ""}
-              </option>
-            ))}
+          {hitterSwings.map((s, i) => (
+            <option key={s.id} value={s.id}>
+              Swing {i + 1}
+              {s.description ? ` – ${s.description}` : ""}
+            </option>
+          ))}
         </select>
 
         <select
-          value={selectedPitcher}
+          value={selectedPitcherId}
           onChange={(e) => {
-            setSelectedPitcher(e.target.value);
-            setSelectedPitchIndex(null);
+            setSelectedPitcherId(e.target.value);
+            setSelectedPitchId("");
           }}
           disabled={busy}
         >
           <option value="">-- select pitcher --</option>
           {pitchers.map((p) => (
-            <option key={p.name} value={p.name}>
+            <option key={p.id} value={p.id}>
               {p.name}
             </option>
           ))}
         </select>
 
         <select
-          value={selectedPitchIndex ?? ""}
-          onChange={(e) => setSelectedPitchIndex(Number(e.target.value))}
-          disabled={!selectedPitcher || busy}
+          value={selectedPitchId}
+          onChange={(e) => setSelectedPitchId(e.target.value)}
+          disabled={!selectedPitcherId || busy}
         >
           <option value="">-- select pitch --</option>
           {pitcherPitches.map((p, i) => (
-            <option key={i} value={i}>
+            <option key={p.id} value={p.id}>
               Pitch {i + 1}
               {p.description ? ` – ${p.description}` : ""}
             </option>
           ))}
         </select>
 
+        {renderPreview()}
+
+        <label>
+          Sync offset {syncOffset > 0 ? "+" : ""}
+          {Math.round(syncOffset * 1000)} ms
+          {syncOffset !== 0 && (syncOffset > 0 ? " (swing later)" : " (swing earlier)")}
+          <input
+            type="range"
+            min={-MAX_SYNC_OFFSET_MS}
+            max={MAX_SYNC_OFFSET_MS}
+            step={1}
+            value={Math.round(syncOffset * 1000)}
+            onChange={(e) =>
+              setSyncOffsets({ ...syncOffsets, [pairKey]: Number(e.target.value) / 1000 })
+            }
+            disabled={!selectedSwingId || !selectedPitchId || busy}
+            style={{ width: "100%" }}
+          />
+        </label>
+
+        <label>
+          Layout{" "}
+          <select value={layout} onChange={(e) => setLayout(e.target.value)} disabled={busy}>
+            {MATCHUP_LAYOUTS.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {layout === "pip" && (
+          <PipPlacement
+            rect={pipRect}
+            onChange={setPipRect}
+            frameAspect={pipAspects?.frame}
+            insetAspect={pipAspects?.inset}
+          />
+        )}
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <label style={{ flex: 1 }}>
+            Preset{" "}
+            <select
+              value={template.name}
+              onChange={(e) => chooseTemplate(e.target.value)}
+              disabled={busy}
+            >
+              {templates.map((t) => (
+                <option key={t.name} value={t.name}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" onClick={() => setEditingTemplate(!editingTemplate)}>
+            {editingTemplate ? "Close editor" : "Edit presets"}
+          </button>
+        </div>
+        {editingTemplate && (
+          <RenderTemplateEditor
+            key={template.name}
+            template={template}
+            onSave={handleSaveTemplate}
+            onDelete={handleDeleteTemplate}
+          />
+        )}
+
+        <fieldset disabled={busy} style={{ display: "grid", gap: 6 }}>
+          <legend>Audio</legend>
+          <label>
+            Pitcher volume {Math.round(pitchVolume * 100)}%
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={pitchVolume}
+              onChange={(e) => setPitchVolume(Number(e.target.value))}
+              disabled={mutePitcher}
+              style={{ width: "100%" }}
+            />
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={mutePitcher}
+              onChange={(e) => setMutePitcher(e.target.checked)}
+            />{" "}
+            Mute pitcher side
+          </label>
+          <label>
+            Hitter volume {Math.round(swingVolume * 100)}%
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={swingVolume}
+              onChange={(e) => setSwingVolume(Number(e.target.value))}
+              style={{ width: "100%" }}
+            />
+          </label>
+        </fieldset>
+
         <button onClick={handleRender} disabled={busy}>
-          Render Side-by-Side
+          Render {layoutLabel(layout)}
         </button>
         <button onClick={handleExportPitchStart} disabled={busy}>
           Export Pitcher Swing-Start Frame
@@ -508,7 +539,24 @@ export default function MatchupSimulator({
       </div>
 
       {error && <div style={{ color: "crimson" }}>{error}</div>}
-      {busy && <div>Working…</div>}
+      {progress ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, maxWidth: 400 }}>
+          <progress
+            value={progress.total ? progress.done / progress.total : undefined}
+            style={{ flex: 1 }}
+          />
+          <span>
+            {progress.stage === "encoding"
+              ? `Rendering ${Math.round((progress.done / progress.total) * 100)}%`
+              : progress.stage === "decoding"
+              ? "Decoding clips…"
+              : "Loading clips…"}
+          </span>
+          <button onClick={() => renderAbortRef.current?.abort()}>Cancel</button>
+        </div>
+      ) : (
+        busy && <div>Working…</div>
+      )}
     </div>
   );
 }
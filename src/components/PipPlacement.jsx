@@ -0,0 +1,62 @@
+// src/components/PipPlacement.jsx
+import React from "react";
+import { Rnd } from "react-rnd";
+
+const FRAME_WIDTH = 320;
+
+/*
+  Drag/resize the swing inset of a picture-in-picture matchup on a scaled-down pitch
+  frame. `rect` is in output fractions ({ x, y, width }); the inset keeps the swing
+  clip's shape. Aspects are height / width.
+*/
+export default function PipPlacement({
+  rect,
+  onChange,
+  frameAspect = 9 / 16,
+  insetAspect = 9 / 16,
+}) {
+  const frameHeight = Math.round(FRAME_WIDTH * frameAspect);
+  const w = rect.width * FRAME_WIDTH;
+  const h = w * insetAspect;
+
+  const update = (x, y, width) =>
+    onChange({
+      x: Math.min(Math.max(0, x / FRAME_WIDTH), 1),
+      y: Math.min(Math.max(0, y / frameHeight), 1),
+      width: Math.min(Math.max(0.1, width / FRAME_WIDTH), 1),
+    });
+
+  return (
+    <div
+      style={{
+        position: "relative",
+        width: FRAME_WIDTH,
+        height: frameHeight,
+        background: "#333",
+        color: "#ccc",
+        fontSize: 12,
+      }}
+    >
+      <span style={{ position: "absolute", left: 6, bottom: 4 }}>Pitch</span>
+      <Rnd
+        bounds="parent"
+        lockAspectRatio
+        minWidth={FRAME_WIDTH * 0.1}
+        size={{ width: w, height: h }}
+        position={{ x: rect.x * FRAME_WIDTH, y: rect.y * frameHeight }}
+        onDragStop={(_e, d) => update(d.x, d.y, w)}
+        onResizeStop={(_e, _dir, ref, _delta, pos) => update(pos.x, pos.y, ref.offsetWidth)}
+        style={{
+          border: "2px solid white",
+          background: "rgba(80,140,255,0.6)",
+          color: "white",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+        }}
+      >
+        Swing
+      </Rnd>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/components/PitchEventList.jsx
+import React from "react";
+import { PITCH_EVENTS, releaseToPlate } from "../utils/dataModel";
+
+/*
+  Tagged delivery events for a pitch being added or edited, with release-to-plate time.
+  `pitch` is the in-progress record: { fps, captureFps, events, contactFrame, contactTime }.
+*/
+export default function PitchEventList({ pitch, onClear }) {
+  const events = pitch.events || {};
+  const flight = releaseToPlate(pitch);
+  return (
+    <div style={{ display: "grid", gap: 4, fontSize: 13 }}>
+      {PITCH_EVENTS.map((e) => (
+        <div key={e.id} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <span style={{ width: 110 }}>{e.label}</span>
+          <span style={{ minWidth: 40 }}>
+            {events[e.id] ? `f${events[e.id].frame}` : "—"}
+          </span>
+          {events[e.id] && onClear && (
+            <button type="button" onClick={() => onClear(e.id)} title={`Clear ${e.label}`}>
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 6 }}>
+        <span style={{ width: 110 }}>Plate arrival</span>
+        <span>{pitch.contactFrame != null ? `f${pitch.contactFrame}` : "—"}</span>
+      </div>
+      {flight != null && (
+        <div>
+          Release → plate: <strong>{(flight * 1000).toFixed(0)} ms</strong>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+// src/components/RenderTemplateEditor.jsx
+import React, { useState } from "react";
+import {
+  TITLE_FIELDS,
+  OUTPUT_WIDTHS,
+  OUTPUT_BITRATES,
+  isBuiltinTemplate,
+} from "../utils/renderTemplates";
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" };
+const numberStyle = { width: 60 };
+
+const percentList = (speeds) => speeds.map((s) => Math.round(s * 100)).join(", ");
+const parsePercentList = (text) =>
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((p) => Number(p) / 100);
+
+/*
+  Edit a matchup render preset. Starts from `template`; saving under a built-in's name is
+  refused by saveRenderTemplate, so built-ins are edited by saving a copy.
+*/
+export default function RenderTemplateEditor({ template, onSave, onDelete }) {
+  const [draft, setDraft] = useState(() => ({
+    ...template,
+    name: isBuiltinTemplate(template.name) ? `${template.name} copy` : template.name,
+  }));
+  const [speedsText, setSpeedsText] = useState(percentList(template.replaySpeeds));
+  const [error, setError] = useState("");
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const numberInput = (key, step = 0.5) => (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={draft[key]}
+      onChange={(e) => set({ [key]: Number(e.target.value) })}
+      style={numberStyle}
+    />
+  );
+
+  function toggleField(id, on) {
+    const fields = on ? [...draft.titleFields, id] : draft.titleFields.filter((f) => f !== id);
+    set({ titleFields: fields });
+  }
+
+  function handleSave() {
+    try {
+      setError("");
+      onSave({ ...draft, replaySpeeds: parsePercentList(speedsText) });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <fieldset style={{ display: "grid", gap: 6, fontSize: 13 }}>
+      <legend>Render preset</legend>
+      <label style={rowStyle}>
+        Name
+        <input value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+      </label>
+
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={draft.titleCard}
+            onChange={(e) => set({ titleCard: e.target.checked })}
+          />{" "}
+          Title card
+        </label>
+        {draft.titleCard && <label>for {numberInput("titleSec")} s</label>}
+      </div>
+      {draft.titleCard && (
+        <div style={{ ...rowStyle, paddingLeft: 20 }}>
+          {TITLE_FIELDS.map((f) => (
+            <label key={f.id}>
+              <input
+                type="checkbox"
+                checked={draft.titleFields.includes(f.id)}
+                onChange={(e) => toggleField(f.id, e.target.checked)}
+              />{" "}
+              {f.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div style={rowStyle}>
+        <label>Freeze before {numberInput("freezeStartSec")} s</label>
+        <label>after {numberInput("freezeEndSec")} s</label>
+      </div>
+
+      <div style={rowStyle}>
+        <label>
+          Replays at{" "}
+          <input
+            value={speedsText}
+            onChange={(e) => setSpeedsText(e.target.value)}
+            placeholder="none"
+            style={{ width: 90 }}
+          />{" "}
+          % speed
+        </label>
+        <label>hold {numberInput("replayHoldSec")} s each</label>
+      </div>
+
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={draft.overlay}
+            onChange={(e) => set({ overlay: e.target.checked })}
+          />{" "}
+          Swing-window overlay
+        </label>
+        {draft.overlay && (
+          <>
+            <input
+              type="color"
+              value={draft.overlayColor}
+              onChange={(e) => set({ overlayColor: e.target.value })}
+            />
+            <label>
+              opacity {Math.round(draft.overlayOpacity * 100)}%
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={draft.overlayOpacity}
+                onChange={(e) => set({ overlayOpacity: Number(e.target.value) })}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <div style={rowStyle}>
+        <label>
+          Width{" "}
+          <select value={draft.width} onChange={(e) => set({ width: Number(e.target.value) })}>
+            {OUTPUT_WIDTHS.map((w) => (
+              <option key={w} value={w}>
+                {w}px
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Bitrate{" "}
+          <select value={draft.bitrate} onChange={(e) => set({ bitrate: Number(e.target.value) })}>
+            {OUTPUT_BITRATES.map((b) => (
+              <option key={b} value={b}>
+                {b / 1_000_000} Mbps
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={rowStyle}>
+        <button type="button" onClick={handleSave}>
+          Save preset
+        </button>
+        {!isBuiltinTemplate(template.name) && (
+          <button type="button" onClick={() => onDelete(template.name)}>
+            Delete “{template.name}”
+          </button>
+        )}
+      </div>
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+    </fieldset>
+  );
+}
@@ -0,0 +1,313 @@
+// src/components/StoragePanel.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  STORE_PITCH_CLIPS,
+  STORE_SWING_CLIPS,
+  STORE_MATCHUP_CLIPS,
+  STORE_SOURCE_VIDEOS,
+  deleteMatchupClip,
+  discardSourceVideos,
+} from "../utils/dataModel";
+import { loadSettings, saveSettings } from "../utils/settings";
+import {
+  computeClipUsage,
+  formatBytes,
+  getStorageEstimate,
+  requestPersistentStorage,
+  shrinkClip,
+  STORAGE_WARN_RATIO,
+} from "../utils/storageUsage";
+
+const STORE_LABELS = {
+  [STORE_SWING_CLIPS]: "Swing clips",
+  [STORE_PITCH_CLIPS]: "Pitch clips",
+  [STORE_MATCHUP_CLIPS]: "Matchup videos",
+  [STORE_SOURCE_VIDEOS]: "Original uploads",
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cell = { padding: "2px 8px", fontSize: 12, textAlign: "left" };
+
+export default function StoragePanel({ onDeleteMatchup }) {
+  const [estimate, setEstimate] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [days, setDays] = useState(30);
+  const [minMB, setMinMB] = useState(5);
+  const [keepSources, setKeepSources] = useState(() => loadSettings().keepSourceVideos);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [est, use] = await Promise.all([getStorageEstimate(), computeClipUsage()]);
+      setEstimate(est);
+      setUsage(use);
+    } catch (err) {
+      console.error("[StoragePanel] refresh failed:", err);
+      setError(err.message || "Failed to read storage usage.");
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function handlePersist() {
+    const granted = await requestPersistentStorage();
+    setStatus(
+      granted
+        ? "Persistent storage granted — the browser won't evict your clips."
+        : "The browser declined persistent storage (try again after using the app more, or install it)."
+    );
+    refresh();
+  }
+
+  const cutoff = Date.now() - Number(days) * DAY_MS;
+  const oldMatchups = (usage?.clips || []).filter(
+    (c) => c.store === STORE_MATCHUP_CLIPS && (c.meta?.createdAt || c.createdAt) < cutoff
+  );
+  const largeClips = (usage?.clips || []).filter((c) => c.size >= Number(minMB) * 1e6);
+
+  async function handleDeleteOld() {
+    if (!oldMatchups.length) return;
+    if (!window.confirm(`Delete ${oldMatchups.length} matchups older than ${days} days?`)) return;
+    try {
+      setBusy(true);
+      setError("");
+      for (const c of oldMatchups) {
+        if (c.meta?.id) onDeleteMatchup(c.meta.id);
+        // Also covers clips with no matchup record; deleting twice is harmless.
+        await deleteMatchupClip(c.key);
+      }
+      setStatus(`Deleted ${oldMatchups.length} matchups.`);
+    } catch (err) {
+      console.error("[StoragePanel] delete failed:", err);
+      setError(err.message || "Delete failed.");
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  }
+
+  async function handleShrink(list) {
+    try {
+      setBusy(true);
+      setError("");
+      let saved = 0;
+      let skipped = 0;
+      for (let i = 0; i < list.length; i++) {
+        setStatus(`Re-encoding ${i + 1}/${list.length}…`);
+        const result = await shrinkClip(list[i].store, list[i].key);
+        saved += result.before - result.after;
+        if (result.skipped) skipped++;
+      }
+      setStatus(
+        `Re-encoded ${list.length - skipped} clips, freed ${formatBytes(saved)}.` +
+          (skipped ? ` Skipped ${skipped} high frame rate clips this browser can't shrink.` : "")
+      );
+    } catch (err) {
+      console.error("[StoragePanel] shrink failed:", err);
+      setError(err.message || "Re-encode failed.");
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  }
+
+  function handleKeepSources(keep) {
+    saveSettings({ keepSourceVideos: keep });
+    setKeepSources(keep);
+  }
+
+  async function handleDiscardSources() {
+    if (
+      !window.confirm(
+        "Delete every original upload? Clips stay, but can only be re-trimmed within their saved range."
+      )
+    ) {
+      return;
+    }
+    try {
+      setBusy(true);
+      setError("");
+      await discardSourceVideos();
+      setStatus("Original uploads deleted.");
+    } catch (err) {
+      console.error("[StoragePanel] discard failed:", err);
+      setError(err.message || "Delete failed.");
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  }
+
+  const ratio = estimate?.ratio || 0;
+  const sourceBytes = usage?.byStore[STORE_SOURCE_VIDEOS] || 0;
+
+  return (
+    <div style={{ display: "grid", gap: 16, maxWidth: 640 }}>
+      <div>
+        <h3>Browser Storage</h3>
+        {!estimate ? (
+          <div style={{ fontSize: 12, opacity: 0.7 }}>This browser can't report its quota.</div>
+        ) : (
+          <>
+            <div style={{ fontSize: 13 }}>
+              Using {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} (
+              {(ratio * 100).toFixed(1)}%)
+            </div>
+            <div style={{ height: 8, background: "#eee", borderRadius: 4, margin: "4px 0" }}>
+              <div
+                style={{
+                  width: `${Math.min(ratio * 100, 100)}%`,
+                  height: "100%",
+                  borderRadius: 4,
+                  background: ratio >= STORAGE_WARN_RATIO ? "crimson" : "#4a4",
+                }}
+              />
+            </div>
+            <div style={{ fontSize: 12 }}>
+              Persistent storage: {estimate.persisted ? "yes" : "no"}
+              {!estimate.persisted && (
+                <button type="button" onClick={handlePersist} style={{ marginLeft: 8, fontSize: 12 }}>
+                  Request persistent storage
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {usage && (
+        <div>
+          <h3>By Store</h3>
+          <table>
+            <tbody>
+              {Object.entries(usage.byStore).map(([store, bytes]) => (
+                <tr key={store}>
+                  <td style={cell}>{STORE_LABELS[store] || store}</td>
+                  <td style={cell}>{formatBytes(bytes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {usage && (
+        <div>
+          <h3>By Player</h3>
+          <table>
+            <thead>
+              <tr>
+                <th style={cell}>Player</th>
+                <th style={cell}>Clips</th>
+                <th style={cell}>Matchups</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.players.map((p) => (
+                <tr key={p.id}>
+                  <td style={cell}>
+                    {p.name} <span style={{ opacity: 0.6 }}>({p.kind})</span>
+                  </td>
+                  <td style={cell}>
+                    {formatBytes(p.clipBytes)} in {p.clipCount}
+                  </td>
+                  <td style={cell}>{formatBytes(p.matchupBytes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 11, opacity: 0.6 }}>
+            Matchup videos count toward both the hitter and the pitcher.
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: "grid", gap: 6 }}>
+        <h3>Original Uploads</h3>
+        <label style={{ fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={keepSources}
+            onChange={(e) => handleKeepSources(e.target.checked)}
+          />{" "}
+          Keep the original video when adding swings and pitches (lets you re-trim later)
+        </label>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+          Stored originals: {formatBytes(sourceBytes)}
+          <button type="button" onClick={handleDiscardSources} disabled={busy || !sourceBytes}>
+            Discard originals
+          </button>
+        </div>
+      </div>
+
+      {usage && (
+        <div style={{ display: "grid", gap: 8 }}>
+          <h3>Clean Up</h3>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+            Delete matchups older than
+            <input
+              type="number"
+              min={1}
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              style={{ width: 60 }}
+            />
+            days
+            <button type="button" onClick={handleDeleteOld} disabled={busy || !oldMatchups.length}>
+              Delete {oldMatchups.length}
+            </button>
+          </div>
+
+          <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+            Clips larger than
+            <input
+              type="number"
+              min={1}
+              value={minMB}
+              onChange={(e) => setMinMB(e.target.value)}
+              style={{ width: 60 }}
+            />
+            MB
+            <button
+              type="button"
+              onClick={() => handleShrink(largeClips)}
+              disabled={busy || !largeClips.length}
+            >
+              Re-encode all {largeClips.length}
+            </button>
+          </div>
+          {largeClips.map((c) => (
+            <div key={`${c.store}-${c.key}`} style={{ display: "flex", gap: 8, fontSize: 12 }}>
+              <span style={{ flex: 1 }}>
+                {STORE_LABELS[c.store]} • {c.ownerName || "unlinked"}
+                {c.meta?.description ? ` — ${c.meta.description}` : ""}
+              </span>
+              <span>{formatBytes(c.size)}</span>
+              <button
+                type="button"
+                style={{ fontSize: 12 }}
+                onClick={() => handleShrink([c])}
+                disabled={busy}
+              >
+                Re-encode
+              </button>
+            </div>
+          ))}
+          <div style={{ fontSize: 11, opacity: 0.6 }}>
+            Re-encoding transcodes each clip frame by frame, keeping its frame rate, and
+            keeps the original if the result isn't smaller. Browsers without WebCodecs
+            play the clip once in real time instead and skip clips above 30 fps.
+          </div>
+        </div>
+      )}
+
+      {busy && <div>Working…</div>}
+      {status && <div>{status}</div>}
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+    </div>
+  );
+}
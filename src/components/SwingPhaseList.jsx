@@ -0,0 +1,34 @@
+// src/components/SwingPhaseList.jsx
+import React from "react";
+import { SWING_PHASES, swingPhaseDurations } from "../utils/dataModel";
+
+/*
+  Tagged swing phases for a swing being added or edited, with the real time between them.
+  `swing` is the in-progress record: { fps, captureFps, phases, contactFrame, contactTime }.
+*/
+export default function SwingPhaseList({ swing, onClear }) {
+  const phases = swing.phases || {};
+  const durations = swingPhaseDurations(swing);
+  return (
+    <div style={{ display: "grid", gap: 4, fontSize: 13 }}>
+      {SWING_PHASES.map((p) => (
+        <div key={p.id} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <span style={{ width: 170 }}>{p.label}</span>
+          <span style={{ minWidth: 40 }}>
+            {phases[p.id] ? `f${phases[p.id].frame}` : "—"}
+          </span>
+          {phases[p.id] && onClear && (
+            <button type="button" onClick={() => onClear(p.id)} title={`Clear ${p.label}`}>
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      {durations.length > 0 && (
+        <div>
+          {durations.map((d) => `${d.label} ${(d.seconds * 1000).toFixed(0)} ms`).join(" • ")}
+        </div>
+      )}
+    </div>
+  );
+}
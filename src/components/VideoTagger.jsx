@@ -1,10 +1,68 @@
 // src/components/VideoTagger.jsx
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
+import { DEFAULT_FPS, PITCH_EVENTS, SWING_PHASES } from "../utils/dataModel";
+import { frameTimestamps, frameIndexAt } from "../utils/clipExtractor";
+import { detectAudioTransients, contactPeak } from "../utils/audioAnalysis";
+import {
+  TAGGER_ACTIONS,
+  loadTaggerHotkeys,
+  saveTaggerHotkey,
+  resetTaggerHotkeys,
+  actionForEvent,
+} from "../utils/hotkeys";
+import HotkeySheet from "./HotkeySheet";
+import FilmstripTimeline from "./FilmstripTimeline";
 
-const DEFAULT_FPS = 30;
+const PLAYBACK_RATES = [0.1, 0.25, 0.5, 1, 2];
+const JUMP_FRAMES = 10;
+
+// Optional tags beyond start/contact: swing phases (onTagSwingPhase) and pitch delivery
+// events (onTagPitchEvent).
+const PHASE_TAGS = [
+  ...SWING_PHASES.map((p) => ({ ...p, kind: "swing" })),
+  ...PITCH_EVENTS.map((e) => ({ ...e, kind: "pitch" })),
+];
+
+const PHASE_TAG_ACTIONS = {
+  load: "tagLoad",
+  footDown: "tagFootDown",
+  launch: "tagLaunch",
+  finish: "tagFinish",
+  firstMove: "tagFirstMove",
+  legLift: "tagLegLift",
+  footStrike: "tagFootStrike",
+  release: "tagPitchRelease",
+};
+
+const PHASE_TAG_COLORS = {
+  load: "#cddc39",
+  footDown: "#795548",
+  launch: "#f44336",
+  finish: "#607d8b",
+  firstMove: "#9c27b0",
+  legLift: "#00bcd4",
+  footStrike: "#8bc34a",
+  release: "#e91e63",
+};
+
+// Timeline markers; each one is moved through the matching onTag* callback.
+const TAG_MARKERS = [
+  { id: "swingStart", label: "Start", color: "#4caf50", kind: "swing", name: "Swing start" },
+  { id: "swingContact", label: "Contact", color: "#ff9800", kind: "swing", name: "Swing contact" },
+  { id: "pitchContact", label: "Plate", color: "#2196f3", kind: "pitch", name: "Plate arrival" },
+  ...PHASE_TAGS.map((t) => ({
+    id: t.id,
+    label: t.short,
+    color: PHASE_TAG_COLORS[t.id],
+    kind: t.kind,
+    name: t.label,
+  })),
+];
 
 function timeToFrame(t, fps) {
-  return Math.floor(t * fps); // Use floor for consistent frame alignment
+  // Use floor for consistent frame alignment; the epsilon keeps 0.0125s × 240 from
+  // flooring to frame 2 on float error at high frame rates.
+  return Math.floor(t * fps + 1e-6);
 }
 
 function getTagMode(labelRaw) {
@@ -47,21 +105,69 @@ export default function VideoTagger({
   onTagSwingStart,
   onTagSwingContact,
   onTagPitchContact,
+  // (eventId, frame, time) for the PITCH_EVENTS delivery events; plate arrival is
+  // onTagPitchContact.
+  onTagPitchEvent,
+  // (phaseId, frame, time) for the optional SWING_PHASES tags.
+  onTagSwingPhase,
+  // Current tag times ({ swingStart, swingContact, pitchContact, ...phase/event ids }) in
+  // seconds of the loaded media, drawn as draggable markers on the timeline.
+  tags = {},
   taggable = false,
 }) {
   const videoRef = useRef(null);
   const [presentedTime, setPresentedTime] = useState(0);
+  const [duration, setDuration] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [err, setErr] = useState("");
   const [status, setStatus] = useState("");
+  const [rate, setRate] = useState(1);
+  const [hotkeys, setHotkeys] = useState(loadTaggerHotkeys);
+  const [showKeys, setShowKeys] = useState(false);
+  // Shortcuts only fire while focus is inside the tagger.
+  const [focused, setFocused] = useState(false);
 
   const infoLabel = (metadata?.label || "").trim();
   const tagMode = useMemo(() => getTagMode(infoLabel), [infoLabel]);
   const showHudOverlay = taggable;
 
-  const frame = useMemo(() => timeToFrame(presentedTime, fps), [presentedTime, fps]);
+  // Presentation timestamps of every frame when the container can be read (MP4/MOV).
+  // Without it, frames are assumed to sit on a constant 1/fps grid.
+  const [frameTimes, setFrameTimes] = useState(null);
+  // Sharp sounds (bat crack, mitt pop) contact tags can snap to; [] without audio.
+  const [audioPeaks, setAudioPeaks] = useState(null);
 
-  // Precise frame stepping using requestVideoFrameCallback
+  useEffect(() => {
+    setFrameTimes(null);
+    setAudioPeaks(null);
+    if (!source || !taggable) return undefined;
+    let cancelled = false;
+    const blob = fetch(source).then((res) => res.blob());
+    blob
+      .then(frameTimestamps)
+      .then((times) => !cancelled && times.length && setFrameTimes(times))
+      .catch((e) => console.warn("[VideoTagger] no frame table, using 1/fps grid:", e.message));
+    blob
+      .then(detectAudioTransients)
+      .then((peaks) => !cancelled && setAudioPeaks(peaks))
+      .catch((e) => {
+        console.warn("[VideoTagger] audio analysis failed:", e.message);
+        if (!cancelled) setAudioPeaks([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source, taggable]);
+
+  const frame = useMemo(
+    () => (frameTimes ? frameIndexAt(frameTimes, presentedTime) : timeToFrame(presentedTime, fps)),
+    [frameTimes, presentedTime, fps]
+  );
+  // Exact timestamp of the frame on screen.
+  const frameTime = frameTimes ? frameTimes[frame] : presentedTime;
+
+  // requestVideoFrameCallback reports the media time of each frame actually presented
+  // (after seeks too); timeupdate is the fallback for browsers without it.
   useEffect(() => {
     const v = videoRef.current;
     if (!v) return;
@@ -71,19 +177,27 @@ export default function VideoTagger({
     };
 
     let rafId;
-    const updateFrame = () => {
-      setPresentedTime(v.currentTime);
-      if (!v.paused) rafId = v.requestVideoFrameCallback?.(updateFrame);
+    const updateFrame = (_now, meta) => {
+      setPresentedTime(meta?.mediaTime ?? v.currentTime);
+      rafId = v.requestVideoFrameCallback(updateFrame);
     };
 
-    v.addEventListener("timeupdate", handleTimeUpdate);
-    if (v.requestVideoFrameCallback) v.requestVideoFrameCallback(updateFrame);
+    // The native controls' speed menu changes the rate too.
+    const handleRateChange = () => setRate(v.playbackRate);
+    const handleDuration = () => setDuration(Number.isFinite(v.duration) ? v.duration : 0);
+
+    if (v.requestVideoFrameCallback) rafId = v.requestVideoFrameCallback(updateFrame);
+    else v.addEventListener("timeupdate", handleTimeUpdate);
+    v.addEventListener("ratechange", handleRateChange);
+    v.addEventListener("durationchange", handleDuration);
 
     return () => {
       v.removeEventListener("timeupdate", handleTimeUpdate);
+      v.removeEventListener("ratechange", handleRateChange);
+      v.removeEventListener("durationchange", handleDuration);
       if (rafId) v.cancelVideoFrameCallback?.(rafId);
     };
-  }, []);
+  }, [source]);
 
   const togglePlay = useCallback(async () => {
     const v = videoRef.current;
@@ -101,44 +215,242 @@ export default function VideoTagger({
     }
   }, []);
 
+  // Step to the neighbouring frame's real boundary. Seeking halfway into the target
+  // frame's display interval avoids landing on the previous frame from rounding.
   const stepFrame = useCallback(
     (delta) => {
       const v = videoRef.current;
       if (!v) return;
       v.pause();
       setIsPlaying(false);
-      const frameTime = 1 / fps;
-      const newTime = v.currentTime + delta * frameTime;
+      if (frameTimes) {
+        const target = Math.max(0, Math.min(frameTimes.length - 1, frame + delta));
+        const next = frameTimes[target + 1] ?? frameTimes[target] + 1 / fps;
+        v.currentTime = (frameTimes[target] + next) / 2;
+        setPresentedTime(frameTimes[target]);
+        return;
+      }
+      const newTime = (frame + delta + 0.5) / fps;
       v.currentTime = Math.max(0, Math.min(v.duration, newTime));
       setPresentedTime(v.currentTime);
     },
-    [fps]
+    [fps, frame, frameTimes]
+  );
+
+  // Frame shown at time `t` and its exact start time.
+  const snap = useCallback(
+    (t) => {
+      if (frameTimes) {
+        const i = frameIndexAt(frameTimes, t);
+        return { frame: i, time: frameTimes[i] };
+      }
+      const f = Math.max(0, timeToFrame(t, fps));
+      return { frame: f, time: f / fps };
+    },
+    [fps, frameTimes]
+  );
+
+  // Timeline scrubbing; lands mid-frame for the same reason stepFrame does.
+  const seekTo = useCallback(
+    (t) => {
+      const v = videoRef.current;
+      if (!v) return;
+      v.pause();
+      setIsPlaying(false);
+      const { frame: f, time } = snap(t);
+      const next = frameTimes?.[f + 1] ?? time + 1 / fps;
+      v.currentTime = Math.max(0, Math.min(v.duration || 0, (time + next) / 2));
+      setPresentedTime(time);
+    },
+    [fps, frameTimes, snap]
+  );
+
+  const changeRate = useCallback(
+    (dir) => {
+      const v = videoRef.current;
+      const at = PLAYBACK_RATES.indexOf(rate);
+      const i = at >= 0 ? at : PLAYBACK_RATES.indexOf(1);
+      const next = PLAYBACK_RATES[Math.max(0, Math.min(PLAYBACK_RATES.length - 1, i + dir))];
+      if (v) {
+        v.defaultPlaybackRate = next; // survives loading another source
+        v.playbackRate = next;
+      }
+      setRate(next);
+    },
+    [rate]
+  );
+
+  const phaseCallback = useCallback(
+    (tag) => (tag.kind === "pitch" ? onTagPitchEvent : onTagSwingPhase),
+    [onTagPitchEvent, onTagSwingPhase]
+  );
+
+  const tagPhase = useCallback(
+    (tag) => {
+      setStatus(`${tag.label} @ f${frame} (${frameTime.toFixed(3)}s)`);
+      phaseCallback(tag)?.(tag.id, frame, frameTime);
+    },
+    [frame, frameTime, phaseCallback]
   );
 
   const tagPitchContact = useCallback(() => {
-    const time = videoRef.current?.currentTime ?? presentedTime;
-    const f = timeToFrame(time, fps);
-    setStatus(`Pitch contact @ f${f} (${time.toFixed(3)}s)`);
-    if (onTagPitchContact) onTagPitchContact(f);
-  }, [fps, presentedTime, onTagPitchContact]);
+    setStatus(`Plate arrival @ f${frame} (${frameTime.toFixed(3)}s)`);
+    if (onTagPitchContact) onTagPitchContact(frame, frameTime);
+  }, [frame, frameTime, onTagPitchContact]);
 
   const tagSwingStart = useCallback(() => {
-    const time = videoRef.current?.currentTime ?? presentedTime;
-    const f = timeToFrame(time, fps);
-    setStatus(`Swing start @ f${f} (${time.toFixed(3)}s)`);
-    if (onTagSwingStart) onTagSwingStart(f, time);
-  }, [fps, presentedTime, onTagSwingStart]);
+    setStatus(`Swing start @ f${frame} (${frameTime.toFixed(3)}s)`);
+    if (onTagSwingStart) onTagSwingStart(frame, frameTime);
+  }, [frame, frameTime, onTagSwingStart]);
 
   const tagSwingContact = useCallback(() => {
-    const time = videoRef.current?.currentTime ?? presentedTime;
-    const f = timeToFrame(time, fps);
-    setStatus(`Swing contact @ f${f} (${time.toFixed(3)}s)`);
-    if (onTagSwingContact) onTagSwingContact(f, time);
-  }, [fps, presentedTime, onTagSwingContact]);
+    setStatus(`Swing contact @ f${frame} (${frameTime.toFixed(3)}s)`);
+    if (onTagSwingContact) onTagSwingContact(frame, frameTime);
+  }, [frame, frameTime, onTagSwingContact]);
+
+  const showPitch = taggable && (tagMode === "pitch" || tagMode === "both");
+  const showSwing = taggable && (tagMode === "swing" || tagMode === "both");
+
+  // Move a contact tag onto the loudest sound near it (anywhere, if it isn't tagged yet).
+  function snapContactToAudio(name, current, onTag) {
+    const peak = contactPeak(audioPeaks, current);
+    if (!peak) {
+      setStatus(`No sound spike ${current == null ? "in this clip" : "near the tag"}.`);
+      return;
+    }
+    const { frame: f, time } = snap(peak.time);
+    seekTo(peak.time);
+    setStatus(`${name} snapped to audio @ f${f} (${time.toFixed(3)}s)`);
+    if (onTag) onTag(f, time);
+  }
+
+  const audioButton = (name, current, onTag) => (
+    <button
+      type="button"
+      style={{ fontSize: 12, padding: "4px 6px", borderRadius: 4 }}
+      onClick={() => snapContactToAudio(name, current, onTag)}
+      disabled={!audioPeaks?.length}
+      title={
+        audioPeaks == null
+          ? "Analyzing audio…"
+          : audioPeaks.length
+            ? "Snap to the bat crack / mitt pop nearest the current tag"
+            : "No sound spikes found in this video"
+      }
+    >
+      ♪ Snap to audio
+    </button>
+  );
+
+  const tagCallbacks = {
+    swingStart: onTagSwingStart,
+    swingContact: onTagSwingContact,
+    pitchContact: onTagPitchContact,
+  };
+  for (const tag of PHASE_TAGS) {
+    const cb = phaseCallback(tag);
+    if (cb) tagCallbacks[tag.id] = (f, t) => cb(tag.id, f, t);
+  }
+  const markers = TAG_MARKERS.filter(
+    (m) =>
+      tags[m.id] != null &&
+      tagCallbacks[m.id] &&
+      (m.kind === "swing" ? showSwing : showPitch)
+  ).map((m) => ({ ...m, time: tags[m.id] }));
+
+  function moveMarker(id, f, t) {
+    const marker = TAG_MARKERS.find((m) => m.id === id);
+    setStatus(`${marker.name} @ f${f} (${t.toFixed(3)}s)`);
+    tagCallbacks[id]?.(f, t);
+  }
+
+  // Only offer shortcuts for controls this tagger actually shows.
+  const actions = useMemo(() => {
+    const available = {
+      tagSwingStart: showSwing,
+      tagSwingContact: showSwing,
+      tagPitchContact: showPitch,
+    };
+    for (const tag of PHASE_TAGS) {
+      const shown = tag.kind === "pitch" ? showPitch : showSwing;
+      available[PHASE_TAG_ACTIONS[tag.id]] = shown && !!phaseCallback(tag);
+    }
+    return TAGGER_ACTIONS.filter((a) => available[a.id] ?? true);
+  }, [showSwing, showPitch, phaseCallback]);
+
+  const handleKeyDown = useCallback(
+    (e) => {
+      if (!source || e.isComposing) return;
+      if (e.target.closest?.("input, select, textarea")) return;
+      // A focused button already answers Space/Enter; don't double up.
+      if (e.target.tagName === "BUTTON" && (e.key === " " || e.key === "Enter")) return;
+      const id = actionForEvent(hotkeys, e);
+      if (!id || !actions.some((a) => a.id === id)) return;
+      e.preventDefault(); // keep the native <video> controls from also handling it
+      const phase = PHASE_TAGS.find((t) => PHASE_TAG_ACTIONS[t.id] === id);
+      if (phase) {
+        tagPhase(phase);
+        return;
+      }
+      const run = {
+        stepBack: () => stepFrame(-1),
+        stepForward: () => stepFrame(1),
+        jumpBack: () => stepFrame(-JUMP_FRAMES),
+        jumpForward: () => stepFrame(JUMP_FRAMES),
+        playPause: togglePlay,
+        slower: () => changeRate(-1),
+        faster: () => changeRate(1),
+        tagSwingStart,
+        tagSwingContact,
+        tagPitchContact,
+      }[id];
+      run();
+    },
+    [
+      source,
+      hotkeys,
+      actions,
+      stepFrame,
+      togglePlay,
+      changeRate,
+      tagSwingStart,
+      tagSwingContact,
+      tagPitchContact,
+      tagPhase,
+    ]
+  );
+
+  // Button hint, e.g. " (s)".
+  const keyHint = (id) => (hotkeys[id] ? ` (${hotkeys[id]})` : "");
+
+  // Button for an optional swing phase / pitch event, if the parent records it.
+  const phaseButton = (id) => {
+    const tag = PHASE_TAGS.find((t) => t.id === id);
+    if (!phaseCallback(tag)) return null;
+    return (
+      <button
+        key={id}
+        type="button"
+        style={{ fontSize: 12, padding: "4px 6px", borderRadius: 4 }}
+        onClick={() => tagPhase(tag)}
+        disabled={!source}
+      >
+        {tag.short} @ f{frame}
+        {keyHint(PHASE_TAG_ACTIONS[id])}
+      </button>
+    );
+  };
 
   return (
     <div
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      onFocus={() => setFocused(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setFocused(false);
+      }}
       style={{
+        outline: focused ? "2px solid #4a90d9" : "none",
         display: "flex",
         flexDirection: "column",
         height: "100%",
@@ -160,7 +472,7 @@ export default function VideoTagger({
               ref={videoRef}
               src={source}
               playsInline
-              controls
+              controls={!taggable}
               style={{
                 width: "100%",
                 maxHeight: "60vh",
@@ -180,7 +492,8 @@ export default function VideoTagger({
                   fontSize: 12,
                 }}
               >
-                Frame: {frame}, Time: {presentedTime.toFixed(3)}s, FPS: {fps}
+                Frame: {frame}, Time: {frameTime.toFixed(3)}s, FPS: {fps}
+                {frameTimes ? "" : " (estimated)"}
               </div>
             )}
             {tagMode === "matchup" && <FooterBar text={infoLabel} />}
@@ -208,6 +521,18 @@ export default function VideoTagger({
             gap: 8,
           }}
         >
+          <FilmstripTimeline
+            source={source}
+            duration={duration}
+            currentTime={frameTime}
+            fps={fps}
+            snap={snap}
+            markers={markers}
+            ticks={audioPeaks?.map((p) => p.time)}
+            onSeek={seekTo}
+            onMarkerMove={moveMarker}
+          />
+
           <div style={{ display: "flex", gap: 6 }}>
             <button
               type="button"
@@ -215,7 +540,7 @@ export default function VideoTagger({
               onClick={() => stepFrame(-1)}
               disabled={!source}
             >
-              ◄ 1f
+              ◄ 1f{keyHint("stepBack")}
             </button>
             <button
               type="button"
@@ -231,29 +556,51 @@ export default function VideoTagger({
               onClick={() => stepFrame(1)}
               disabled={!source}
             >
-              1f ►
+              1f ►{keyHint("stepForward")}
+            </button>
+            <span style={{ fontSize: 12, alignSelf: "center" }}>{rate}×</span>
+            <button
+              type="button"
+              style={{ fontSize: 12, padding: "4px 6px", borderRadius: 4 }}
+              onClick={() => setShowKeys((v) => !v)}
+            >
+              ⌨ Shortcuts
             </button>
-            <div style={{ opacity: 0.75, fontSize: 12 }}>{status}</div>
+            <div style={{ opacity: 0.75, fontSize: 12 }}>
+              {status || (focused ? "" : "Click the tagger to use shortcuts.")}
+            </div>
           </div>
 
-          {(tagMode === "pitch" || tagMode === "both") && (
-            <div style={{ display: "flex", gap: 6 }}>
+          {showKeys && (
+            <HotkeySheet
+              actions={actions}
+              hotkeys={hotkeys}
+              onRebind={(id, combo) => setHotkeys(saveTaggerHotkey(id, combo))}
+              onReset={() => setHotkeys(resetTaggerHotkeys())}
+            />
+          )}
+
+          {showPitch && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
               <span style={{ fontSize: 12, opacity: 0.85 }}>
                 <strong>Pitch</strong>
               </span>
+              {PITCH_EVENTS.map((e) => phaseButton(e.id))}
               <button
                 type="button"
                 style={{ fontSize: 12, padding: "4px 6px", borderRadius: 4 }}
                 onClick={tagPitchContact}
                 disabled={!source}
               >
-                Set Contact @ f{frame}
+                Plate / Contact @ f{frame}
+                {keyHint("tagPitchContact")}
               </button>
+              {audioButton("Plate arrival", tags.pitchContact, onTagPitchContact)}
             </div>
           )}
 
-          {(tagMode === "swing" || tagMode === "both") && (
-            <div style={{ display: "flex", gap: 6 }}>
+          {showSwing && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
               <span style={{ fontSize: 12, opacity: 0.85 }}>
                 <strong>Swing</strong>
               </span>
@@ -264,7 +611,11 @@ export default function VideoTagger({
                 disabled={!source}
               >
                 Set Start @ f{frame}
+                {keyHint("tagSwingStart")}
               </button>
+              {phaseButton("load")}
+              {phaseButton("footDown")}
+              {phaseButton("launch")}
               <button
                 type="button"
                 style={{ fontSize: 12, padding: "4px 6px", borderRadius: 4 }}
@@ -272,7 +623,10 @@ export default function VideoTagger({
                 disabled={!source}
               >
                 Set Contact @ f{frame}
+                {keyHint("tagSwingContact")}
               </button>
+              {audioButton("Swing contact", tags.swingContact, onTagSwingContact)}
+              {phaseButton("finish")}
             </div>
           )}
 
@@ -0,0 +1,113 @@
+// src/utils/audioAnalysis.js
+// Finds sharp sounds (bat crack, mitt pop) in a clip's audio so contact tags can snap to
+// them. Times are media seconds on the same timeline as the video frames.
+import { decodeAudioTrack } from "./clipExtractor";
+
+// Envelope resolution; ~one frame at 200 fps.
+const HOP_SECONDS = 0.005;
+// Rise is measured against the average of this much preceding audio.
+const LOOKBACK_SECONDS = 0.05;
+// Two peaks closer than this are the same sound (echo, ring).
+const MIN_GAP_SECONDS = 0.1;
+// Snapping looks this far either side of an existing contact tag.
+export const SNAP_WINDOW_SECONDS = 0.3;
+
+export function supportsAudioAnalysis() {
+  return typeof OfflineAudioContext !== "undefined";
+}
+
+/**
+ * Transient peaks in decoded PCM, strongest first limited to `maxPeaks`, returned in time
+ * order. `strength` is relative to the loudest peak (0–1].
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Array<{time:number, strength:number}>}
+ */
+export function transientPeaks(channels, sampleRate, { maxPeaks = 8 } = {}) {
+  const hop = Math.max(1, Math.round(sampleRate * HOP_SECONDS));
+  const length = channels[0]?.length || 0;
+  const hops = Math.floor(length / hop);
+  if (hops < 3) return [];
+
+  // First difference ≈ high-pass: cracks and pops are broadband, wind and crowd hum aren't.
+  const diffAt = (i) => {
+    let d = 0;
+    for (const ch of channels) d += ch[i] - (i ? ch[i - 1] : 0);
+    return d;
+  };
+
+  const energy = new Float32Array(hops);
+  const loudest = new Int32Array(hops); // sample with the biggest jump in each hop
+  for (let h = 0; h < hops; h++) {
+    let sum = 0;
+    let best = 0;
+    for (let i = h * hop; i < (h + 1) * hop; i++) {
+      const d = diffAt(i);
+      sum += d * d;
+      if (Math.abs(d) > best) {
+        best = Math.abs(d);
+        loudest[h] = i;
+      }
+    }
+    energy[h] = Math.sqrt(sum / hop);
+  }
+
+  // Onset strength: how far each hop jumps above the recent average.
+  const look = Math.max(1, Math.round(LOOKBACK_SECONDS / HOP_SECONDS));
+  const onset = new Float32Array(hops);
+  let run = 0;
+  for (let h = 0; h < hops; h++) {
+    onset[h] = h ? Math.max(0, energy[h] - run / Math.min(h, look)) : 0;
+    run += energy[h];
+    if (h >= look) run -= energy[h - look];
+  }
+
+  let mean = 0;
+  for (const v of onset) mean += v;
+  mean /= hops;
+  let variance = 0;
+  for (const v of onset) variance += (v - mean) ** 2;
+  const threshold = mean + 4 * Math.sqrt(variance / hops);
+
+  const candidates = [];
+  for (let h = 1; h < hops - 1; h++) {
+    if (onset[h] > threshold && onset[h] >= onset[h - 1] && onset[h] >= onset[h + 1]) {
+      candidates.push({ time: loudest[h] / sampleRate, value: onset[h] });
+    }
+  }
+  candidates.sort((a, b) => b.value - a.value);
+
+  const picked = [];
+  for (const c of candidates) {
+    if (picked.length >= maxPeaks) break;
+    if (picked.every((p) => Math.abs(p.time - c.time) >= MIN_GAP_SECONDS)) picked.push(c);
+  }
+  const top = picked[0]?.value || 1;
+  return picked
+    .map((p) => ({ time: p.time, strength: p.value / top }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Decode the audio track of a video and find its transients. Resolves to [] when the
+ * file has no (decodable) audio.
+ * @param {Blob} blob
+ * @returns {Promise<Array<{time:number, strength:number}>>}
+ */
+export async function detectAudioTransients(blob, options) {
+  if (!supportsAudioAnalysis()) return [];
+  const pcm = await decodeAudioTrack(blob);
+  return pcm ? transientPeaks(pcm.channels, pcm.sampleRate, options) : [];
+}
+
+/**
+ * Peak a contact tag should snap to: the strongest within SNAP_WINDOW_SECONDS of
+ * `near` when given, otherwise the strongest in the clip. Null if there is none.
+ */
+export function contactPeak(peaks, near = null) {
+  const pool =
+    near == null
+      ? peaks || []
+      : (peaks || []).filter((p) => Math.abs(p.time - near) <= SNAP_WINDOW_SECONDS);
+  return pool.reduce((best, p) => (!best || p.strength > best.strength ? p : best), null);
+}
@@ -0,0 +1,164 @@
+// src/utils/captureFrames.js
+import { CLIP_BITRATE, captureFps, recordFps, tagTime } from "./dataModel";
+import { extractTimeRange, supportsWebCodecs } from "./clipExtractor";
+
+// Pitch clips are the two seconds leading up to (and including) the contact frame. Pass
+// the capture rate so slow-motion pitches also cover two seconds of real time.
+export const PITCH_CLIP_SECONDS = 2;
+
+export function pitchClipRange(contactFrame, fps) {
+  const startFrame = Math.max(0, contactFrame - fps * PITCH_CLIP_SECONDS + 1);
+  return { startFrame, endFrame: startFrame + fps * PITCH_CLIP_SECONDS };
+}
+
+/**
+ * Same window in media seconds, ending just after the contact frame's timestamp.
+ * `captureFps` stretches the window for slow-motion sources (2 real seconds).
+ */
+export function pitchClipTimes(contactTime, fps, captureFps = fps) {
+  const endSec = contactTime + 0.5 / fps;
+  const startSec = Math.max(0, endSec - (PITCH_CLIP_SECONDS * captureFps) / fps);
+  return { startSec, endSec };
+}
+
+// Real seconds kept before the earliest tagged delivery event.
+export const PITCH_LEAD_SECONDS = 0.5;
+
+/**
+ * Clip window for a pitch with tagged delivery events ({ [id]: { time } }): from a short
+ * lead-in before the first event through plate arrival. Without events, falls back to
+ * the fixed two-second window.
+ */
+export function pitchEventWindow(events, contactTime, fps, captureFps = fps) {
+  const times = Object.values(events || {})
+    .map((e) => e?.time)
+    .filter((t) => t != null && t < contactTime);
+  if (!times.length) return pitchClipTimes(contactTime, fps, captureFps);
+  const endSec = contactTime + 0.5 / fps;
+  const startSec = Math.max(0, Math.min(...times) - (PITCH_LEAD_SECONDS * captureFps) / fps);
+  return { startSec, endSec };
+}
+
+/**
+ * Source time (s) of the first frame in a stored swing or pitch clip: its re-trim point
+ * when it has been edited, else the swing start tag or the start of the pitch window.
+ */
+export function clipSourceStart(kind, record) {
+  if (record.adjustments?.clipStartTime != null) return record.adjustments.clipStartTime;
+  if (record.adjustments?.clipStartFrame != null) {
+    return record.adjustments.clipStartFrame / recordFps(record);
+  }
+  if (kind === "swing") return tagTime(record, "start") ?? 0;
+  const contact = tagTime(record, "contact");
+  return contact != null
+    ? pitchEventWindow(record.events, contact, recordFps(record), captureFps(record)).startSec
+    : 0;
+}
+
+/** Media time (s) of the tagged contact within the stored clip, or null if untagged. */
+export function clipContactTime(kind, record) {
+  const contact = tagTime(record, "contact");
+  return contact == null ? null : Math.max(0, contact - clipSourceStart(kind, record));
+}
+
+/**
+ * Cut the frames presented in [startSec, endSec) — tagged timestamps — into a new MP4.
+ * Uses WebCodecs for an exact frame count; browsers without it fall back to real-time
+ * recording on a 1/FPS grid.
+ * @param {Blob|File} file
+ * @returns {Promise<{blob: Blob}>}
+ */
+export async function captureTimeRange(file, startSec, endSec, FPS) {
+  if (!supportsWebCodecs()) {
+    return recordFrames(file, Math.round(startSec * FPS), Math.round(endSec * FPS), FPS);
+  }
+  const blob = await extractTimeRange(file, startSec, endSec, { fps: FPS });
+  console.log(
+    `[captureFrames] ✅ ${startSec.toFixed(3)}s-${endSec.toFixed(3)}s (${blob.size} bytes)`
+  );
+  return { blob };
+}
+
+// Legacy path: seek-and-draw onto a canvas recorded by MediaRecorder. Timing depends on
+// the machine keeping up, so frame counts can drift, and clips cut this way are silent —
+// seeking frame by frame never plays the audio through.
+function recordFrames(file, startFrame, endFrame, FPS) {
+  console.log("[captureFrames] WebCodecs unavailable, recording instead");
+
+  const startTimeSec = startFrame / FPS;
+  const frameStep = 1 / FPS;
+  const frameCount = Math.max(0, endFrame - startFrame);
+
+  console.log(
+    `[captureFrames] range ${startFrame}-${endFrame} (${frameCount} frames, ${(
+      frameCount / FPS
+    ).toFixed(2)}s)`
+  );
+
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    video.src = URL.createObjectURL(file);
+    video.crossOrigin = "anonymous";
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+
+    video.onloadedmetadata = async () => {
+      const w = video.videoWidth;
+      const h = video.videoHeight;
+      const canvas = document.createElement("canvas");
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d");
+
+      // 🎥 Use MP4 if available, else WebM fallback
+      const mp4Mime = "video/mp4;codecs=avc1.42E01E";
+      const fallbackMime = "video/webm;codecs=vp9";
+      const mimeType = MediaRecorder.isTypeSupported(mp4Mime)
+        ? mp4Mime
+        : fallbackMime;
+
+      const chunks = [];
+      const rec = new MediaRecorder(canvas.captureStream(FPS), {
+        mimeType,
+        videoBitsPerSecond: CLIP_BITRATE,
+      });
+
+      rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+      rec.onstop = () => {
+        URL.revokeObjectURL(video.src);
+        const blob = new Blob(chunks, { type: mimeType });
+        console.log(`[captureFrames] ✅ recorded ${blob.size} bytes as ${mimeType}`);
+        if (blob.size < 512) reject(new Error("Empty output"));
+        else resolve({ blob });
+      };
+
+      rec.start();
+      console.log(`[captureFrames] recording ${frameCount} frames…`);
+
+      let frameIndex = 0;
+      const drawNext = () => {
+        if (frameIndex >= frameCount) {
+          // allow the last frame to fully render
+          setTimeout(() => rec.stop(), 500);
+          return;
+        }
+
+        const t = startTimeSec + frameIndex * frameStep;
+        video.currentTime = t;
+        video.onseeked = () => {
+          if (video.readyState < 4) {
+            requestAnimationFrame(drawNext);
+            return;
+          }
+          ctx.drawImage(video, 0, 0, w, h);
+          frameIndex++;
+          setTimeout(() => requestAnimationFrame(drawNext), 1000 / FPS);
+        };
+      };
+      drawNext();
+    };
+
+    video.onerror = () => reject(new Error("Video load failed"));
+  });
+}
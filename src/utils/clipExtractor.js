@@ -0,0 +1,761 @@
+// src/utils/clipExtractor.js
+/* =====================================================================================
+   Frame-accurate clip extraction — mp4box.js demux + WebCodecs decode/encode
+   -------------------------------------------------------------------------------------
+   Every output frame is encoded with its own timestamp (rebased to 0) and muxed into a
+   real MP4, so a cut always contains exactly the requested frames no matter how fast
+   the machine is. Sources mp4box can't read (WebM clips from older versions) are
+   decoded by seeking a <video> element instead — slower, but still deterministic.
+   ===================================================================================== */
+import * as MP4BoxModule from "mp4box";
+import { CLIP_BITRATE, DEFAULT_FPS } from "./dataModel";
+
+// mp4box.js moved from a default export to named exports; accept either build.
+const MP4Box = MP4BoxModule.createFile ? MP4BoxModule : MP4BoxModule.default;
+
+export const MP4_MIME = "video/mp4";
+// Thrown where only mp4box can decode (no <video> to fall back on, i.e. in a worker).
+export const MP4_ONLY_ERROR =
+  "Only MP4 clips can be decoded here; re-trim the clip to convert it.";
+const TIMESCALE = 1_000_000; // µs — the unit of VideoFrame / EncodedVideoChunk timestamps
+const MAX_QUEUE = 8;
+// High profile first; Baseline is the fallback the old MediaRecorder path used.
+const AVC_CODECS = ["avc1.640033", "avc1.4D0033", "avc1.42E033"];
+
+export function supportsWebCodecs() {
+  return typeof VideoEncoder !== "undefined" && typeof VideoDecoder !== "undefined";
+}
+
+function waitForDequeue(codec) {
+  return new Promise((resolve) => {
+    // Whichever comes first cleans up the other, so listeners don't pile up per frame.
+    const done = () => {
+      clearTimeout(timer);
+      codec.removeEventListener("dequeue", done);
+      resolve();
+    };
+    codec.addEventListener("dequeue", done);
+    // Older builds never fire "dequeue"; poll as a backstop.
+    const timer = setTimeout(done, 50);
+  });
+}
+
+/* ---------- FRAME RATE ---------- */
+// Phones report 29.97 / 59.94 / 239.76 and variable-rate files wobble around the
+// nominal value; snap to the rate the camera was set to when we're within 3%.
+const COMMON_FRAME_RATES = [24, 25, 30, 48, 50, 60, 90, 100, 120, 240, 480, 960];
+
+export function snapFrameRate(raw) {
+  if (!(raw > 0) || !Number.isFinite(raw)) return null;
+  const near = COMMON_FRAME_RATES.find((r) => Math.abs(raw - r) / r < 0.03);
+  return near || Math.round(raw);
+}
+
+// Median presentation-time step, so a dropped or doubled frame doesn't skew the rate.
+function frameRateFromSamples(samples) {
+  const times = samples.map((s) => s.time).sort((a, b) => a - b);
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1]);
+  }
+  if (!steps.length) return null;
+  steps.sort((a, b) => a - b);
+  return snapFrameRate(1 / steps[steps.length >> 1]);
+}
+
+// Non-MP4 fallback: play slowly and read the media time of each presented frame.
+// 1/8 speed keeps even 240 fps under a 60 Hz display's callback rate.
+function measureFrameRate(blob, samplesWanted = 12, timeoutMs = 4000) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    if (typeof video.requestVideoFrameCallback !== "function") {
+      reject(new Error("requestVideoFrameCallback not supported"));
+      return;
+    }
+    video.src = URL.createObjectURL(blob);
+    video.muted = true;
+    video.playsInline = true;
+
+    const times = [];
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      video.pause();
+      URL.revokeObjectURL(video.src);
+      const steps = [];
+      for (let i = 1; i < times.length; i++) {
+        if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1]);
+      }
+      if (!steps.length) {
+        reject(new Error("No frames presented"));
+        return;
+      }
+      // Smallest step: a skipped callback doubles a gap but never halves one.
+      resolve(snapFrameRate(1 / Math.min(...steps)));
+    };
+    const onFrame = (_now, meta) => {
+      times.push(meta.mediaTime);
+      if (times.length >= samplesWanted || video.ended) finish();
+      else video.requestVideoFrameCallback(onFrame);
+    };
+
+    video.onloadeddata = () => {
+      video.playbackRate = 0.125;
+      video.requestVideoFrameCallback(onFrame);
+      video.play().catch(finish);
+      timer = setTimeout(finish, timeoutMs);
+    };
+    video.onended = finish;
+    video.onerror = () => {
+      URL.revokeObjectURL(video.src);
+      reject(new Error("Video load failed"));
+    };
+  });
+}
+
+/**
+ * Native frame rate of a video, read from the MP4 sample table when possible.
+ * @returns {Promise<number|null>} null if it couldn't be determined
+ */
+export async function detectFrameRate(blob) {
+  try {
+    const { fps } = await demuxMp4(blob);
+    if (fps) return fps;
+  } catch (err) {
+    console.warn("[clipExtractor] demux failed, measuring frame rate instead:", err.message);
+  }
+  try {
+    return await measureFrameRate(blob);
+  } catch (err) {
+    console.warn("[clipExtractor] frame rate measurement failed:", err.message);
+    return null;
+  }
+}
+
+/* ---------- DEMUX ---------- */
+// avcC / hvcC / vpcC / av1C payload for VideoDecoder.configure({ description }).
+function codecDescription(file, trackId) {
+  const trak = file.getTrackById(trackId);
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+    if (box) {
+      const stream = new MP4Box.DataStream(undefined, 0, MP4Box.DataStream.BIG_ENDIAN);
+      box.write(stream);
+      return new Uint8Array(stream.buffer, 8); // drop the 8-byte box header
+    }
+  }
+  return undefined;
+}
+
+// Clockwise display rotation (0/90/180/270) from a tkhd matrix [a, b, u, c, d, v, x, y, w].
+// Phones store portrait video in sensor orientation and rotate it here.
+function matrixRotation(matrix) {
+  if (!matrix) return 0;
+  const degrees = (Math.atan2(matrix[1], matrix[0]) * 180) / Math.PI;
+  return (((Math.round(degrees / 90) * 90) % 360) + 360) % 360;
+}
+
+/**
+ * Read an MP4's first video track.
+ * @returns {Promise<{config:VideoDecoderConfig, samples:Array, width:number,
+ *   height:number, rotation:number, fps:number|null}>} samples in decode order, each
+ *   with a `time` (s) relative to the first presented frame. `width`/`height` are as
+ *   stored; `rotation` is how far a player turns them clockwise for display.
+ */
+export async function demuxMp4(blob) {
+  const buffer = await blob.arrayBuffer();
+  const file = MP4Box.createFile();
+  let track = null;
+  let failure = null;
+  const samples = [];
+
+  file.onError = (e) => (failure = new Error(`Not a readable MP4: ${e}`));
+  file.onReady = (info) => {
+    track = info.videoTracks[0] || null;
+    if (!track) return;
+    file.setExtractionOptions(track.id, null, { nbSamples: Infinity });
+    file.start();
+  };
+  file.onSamples = (_trackId, _user, batch) => {
+    for (const s of batch) samples.push(s);
+  };
+
+  buffer.fileStart = 0;
+  file.appendBuffer(buffer);
+  file.flush();
+
+  if (failure) throw failure;
+  if (!track || !samples.length) throw new Error("Not a readable MP4: no video track.");
+
+  // Not Math.min(...): long high-speed files have more samples than call arguments allow.
+  const firstCts = samples.reduce((min, s) => Math.min(min, s.cts), Infinity);
+  const timed = samples.map((s) => ({
+    data: s.data,
+    isKey: s.is_sync,
+    time: (s.cts - firstCts) / s.timescale,
+    duration: s.duration / s.timescale,
+  }));
+
+  return {
+    config: {
+      codec: track.codec,
+      codedWidth: track.video.width,
+      codedHeight: track.video.height,
+      description: codecDescription(file, track.id),
+    },
+    samples: timed,
+    width: track.video.width,
+    height: track.video.height,
+    rotation: matrixRotation(track.matrix),
+    fps: frameRateFromSamples(timed),
+  };
+}
+
+/**
+ * Presentation time (s) of every frame, ascending. Variable-frame-rate phone video
+ * doesn't sit on a 1/fps grid, so tagging and stepping use this table.
+ * @returns {Promise<number[]>}
+ */
+export async function frameTimestamps(blob) {
+  const { samples } = await demuxMp4(blob);
+  return samples.map((s) => s.time).sort((a, b) => a - b);
+}
+
+// Index of the frame on screen at `t`: the last one presented at or before it.
+export function frameIndexAt(times, t) {
+  let lo = 0;
+  let hi = times.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (times[mid] <= t + 1e-6) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/* ---------- DECODE ---------- */
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  return Object.assign(document.createElement("canvas"), { width, height });
+}
+
+// Decoded frames come out as stored; redraw them turned by `rotation` so cuts and
+// composites are upright like the <video> element shows them. Closes the input frame.
+function uprightFrames(rotation) {
+  let canvas = null;
+  return (frame) => {
+    const sw = frame.displayWidth;
+    const sh = frame.displayHeight;
+    const [w, h] = rotation % 180 ? [sh, sw] : [sw, sh];
+    if (!canvas || canvas.width !== w || canvas.height !== h) canvas = makeCanvas(w, h);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, w / 2, h / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.drawImage(frame, -sw / 2, -sh / 2, sw, sh);
+    const upright = new VideoFrame(canvas, {
+      timestamp: frame.timestamp,
+      duration: frame.duration ?? undefined,
+    });
+    frame.close();
+    return upright;
+  };
+}
+
+// WebCodecs path. Only decodes from the keyframe before `startSec` to the last needed
+// sample; frames outside the range are closed right away.
+async function decodeMp4Range(demuxed, startSec, endSec, onFrame) {
+  const { samples, config, rotation } = demuxed;
+  const turn = rotation ? uprightFrames(rotation) : (frame) => frame;
+  const eps = 1e-6;
+  const inRange = (t) => t >= startSec - eps && t < endSec - eps;
+  const wanted = samples.map((s, i) => (inRange(s.time) ? i : -1)).filter((i) => i >= 0);
+  if (!wanted.length) throw new Error("No frames in the requested range.");
+
+  let first = wanted[0];
+  while (first > 0 && !samples[first].isKey) first--;
+  const last = wanted[wanted.length - 1];
+
+  const support = await VideoDecoder.isConfigSupported(config);
+  if (!support.supported) throw new Error(`This browser can't decode ${config.codec}.`);
+
+  const pending = [];
+  let failure = null;
+  const decoder = new VideoDecoder({
+    output: (frame) => pending.push(frame),
+    error: (e) => (failure = e),
+  });
+  decoder.configure(config);
+
+  const drain = async () => {
+    while (pending.length) {
+      const frame = pending.shift();
+      const t = frame.timestamp / 1e6;
+      if (inRange(t)) await onFrame(turn(frame), t);
+      else frame.close();
+    }
+  };
+
+  try {
+    for (let i = first; i <= last; i++) {
+      if (failure) throw failure;
+      const s = samples[i];
+      decoder.decode(
+        new EncodedVideoChunk({
+          type: s.isKey ? "key" : "delta",
+          timestamp: Math.round(s.time * 1e6),
+          duration: Math.round(s.duration * 1e6),
+          data: s.data,
+        })
+      );
+      while (decoder.decodeQueueSize > MAX_QUEUE) await waitForDequeue(decoder);
+      await drain();
+    }
+    await decoder.flush();
+    await drain();
+    if (failure) throw failure;
+  } finally {
+    pending.forEach((f) => f.close());
+    if (decoder.state !== "closed") decoder.close();
+  }
+}
+
+// Fallback for anything mp4box can't read: seek to the middle of each frame slot.
+async function decodeBySeeking(blob, startSec, endSec, fps, onFrame) {
+  if (typeof document === "undefined") {
+    throw new Error(MP4_ONLY_ERROR);
+  }
+  const video = document.createElement("video");
+  video.src = URL.createObjectURL(blob);
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error("Video load failed"));
+    });
+    const end = Math.min(endSec, video.duration);
+    for (let i = 0; startSec + i / fps < end - 1e-6; i++) {
+      const t = startSec + i / fps;
+      video.currentTime = Math.min(t + 0.5 / fps, video.duration);
+      await new Promise((resolve) => video.addEventListener("seeked", resolve, { once: true }));
+      await onFrame(new VideoFrame(video, { timestamp: Math.round(t * 1e6) }), t);
+    }
+  } finally {
+    URL.revokeObjectURL(video.src);
+    video.removeAttribute("src");
+  }
+}
+
+/**
+ * Decode the frames of `blob` presented in [startSec, endSec), in order.
+ * `onFrame(frame, timeSec)` owns the VideoFrame and must close it.
+ * @param {{fps?:number}} [options] — frame spacing for the seek fallback
+ */
+export async function decodeFrames(blob, startSec, endSec, onFrame, { fps = DEFAULT_FPS } = {}) {
+  let demuxed = null;
+  try {
+    demuxed = await demuxMp4(blob);
+  } catch (err) {
+    console.warn("[clipExtractor] demux failed, seeking instead:", err.message);
+  }
+  if (demuxed) return decodeMp4Range(demuxed, startSec, endSec, onFrame);
+  return decodeBySeeking(blob, startSec, endSec, fps, onFrame);
+}
+
+/**
+ * Decode a whole clip into ImageBitmaps scaled to `width`×`height`. Meant for short
+ * clips that get composited (matchups); keep the size small. `maxFps` thins
+ * high-speed footage so a 240 fps clip doesn't hold hundreds of bitmaps.
+ * @returns {Promise<Array<{time:number, image:ImageBitmap}>>}
+ */
+export async function decodeClipImages(
+  blob,
+  { width, height, fps = DEFAULT_FPS, maxFps = Infinity } = {}
+) {
+  const frames = [];
+  const minStep = 1 / maxFps - 1e-6;
+  await decodeFrames(
+    blob,
+    0,
+    Infinity,
+    async (frame, time) => {
+      try {
+        const prev = frames[frames.length - 1];
+        if (prev && time - prev.time < minStep) return;
+        const image = await createImageBitmap(frame, {
+          resizeWidth: width || frame.displayWidth,
+          resizeHeight: height || frame.displayHeight,
+        });
+        frames.push({ time, image });
+      } finally {
+        frame.close();
+      }
+    },
+    { fps }
+  );
+  return frames;
+}
+
+/* ---------- AUDIO ---------- */
+// Audio is decoded whole with Web Audio (resampled to 48 kHz, which Opus requires) and
+// re-encoded to AAC where the browser can, Opus otherwise.
+export const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_BITRATE = 128_000;
+const AUDIO_BLOCK = 1024; // frames per AudioData handed to the encoder
+const AUDIO_CODECS = [
+  { codec: "mp4a.40.2", type: "mp4a" },
+  { codec: "opus", type: "Opus" },
+];
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000];
+
+/**
+ * PCM of the audio presented in [startSec, endSec), at most two channels. Null when
+ * the file has no audio track (or the browser can't decode it).
+ * @returns {Promise<{sampleRate:number, channels:Float32Array[]} | null>}
+ */
+export async function decodeAudioTrack(blob, startSec = 0, endSec = Infinity) {
+  if (typeof OfflineAudioContext === "undefined") return null;
+  // Length doesn't matter for decoding; the rate is what decodeAudioData resamples to.
+  const ctx = new OfflineAudioContext(1, 1, AUDIO_SAMPLE_RATE);
+  let buffer;
+  try {
+    buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+  } catch {
+    return null;
+  }
+  const from = Math.max(0, Math.round(startSec * buffer.sampleRate));
+  const to = Math.min(buffer.length, Math.round(endSec * buffer.sampleRate));
+  if (to <= from) return null;
+  const channels = [];
+  for (let c = 0; c < Math.min(2, buffer.numberOfChannels); c++) {
+    channels.push(buffer.getChannelData(c).slice(from, to));
+  }
+  return { sampleRate: buffer.sampleRate, channels };
+}
+
+async function pickAudioConfig(sampleRate, numberOfChannels) {
+  if (typeof AudioEncoder === "undefined") return null;
+  for (const { codec, type } of AUDIO_CODECS) {
+    const config = { codec, sampleRate, numberOfChannels, bitrate: AUDIO_BITRATE };
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported(config);
+      if (supported) return { config, type };
+    } catch {
+      // Unknown codec string in this browser; try the next one.
+    }
+  }
+  return null;
+}
+
+// Encode PCM; null when the browser has no usable audio encoder.
+async function encodeAudio({ sampleRate, channels }) {
+  const picked = await pickAudioConfig(sampleRate, channels.length);
+  if (!picked) return null;
+
+  const chunks = [];
+  let description = null;
+  let failure = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => {
+      if (meta?.decoderConfig?.description && !description) {
+        description = new Uint8Array(meta.decoderConfig.description);
+      }
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp });
+    },
+    error: (e) => (failure = e),
+  });
+  encoder.configure(picked.config);
+
+  try {
+    const length = channels[0].length;
+    for (let offset = 0; offset < length; offset += AUDIO_BLOCK) {
+      if (failure) throw failure;
+      const frames = Math.min(AUDIO_BLOCK, length - offset);
+      const planar = new Float32Array(frames * channels.length);
+      channels.forEach((ch, c) => planar.set(ch.subarray(offset, offset + frames), c * frames));
+      const audio = new AudioData({
+        format: "f32-planar",
+        sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: channels.length,
+        timestamp: Math.round((offset / sampleRate) * 1e6),
+        data: planar,
+      });
+      encoder.encode(audio);
+      audio.close();
+      while (encoder.encodeQueueSize > MAX_QUEUE) await waitForDequeue(encoder);
+    }
+    await encoder.flush();
+    if (failure) throw failure;
+  } finally {
+    if (encoder.state !== "closed") encoder.close();
+  }
+  return {
+    type: picked.type,
+    sampleRate,
+    numberOfChannels: channels.length,
+    description,
+    chunks,
+    duration: channels[0].length / sampleRate,
+  };
+}
+
+// Codec setup box for the audio sample entry: esds (AAC) or dOps (Opus).
+function audioConfigBox({ type, sampleRate, numberOfChannels, description }) {
+  if (type === "Opus") {
+    // The encoder's description is an OpusHead; only its pre-skip (LE, byte 10) is needed.
+    const preSkip = description?.length >= 12 ? description[10] | (description[11] << 8) : 0;
+    const view = new DataView(new ArrayBuffer(11));
+    view.setUint8(1, numberOfChannels);
+    view.setUint16(2, preSkip);
+    view.setUint32(4, sampleRate);
+    const box = new MP4Box.BoxParser.dOpsBox();
+    box.data = new Uint8Array(view.buffer);
+    return box;
+  }
+  // AudioSpecificConfig: AAC-LC, sample-rate index, channel layout.
+  const asc = description?.length
+    ? [...description]
+    : (() => {
+        const bits = (2 << 11) | (AAC_SAMPLE_RATES.indexOf(sampleRate) << 7);
+        const word = bits | (numberOfChannels << 3);
+        return [word >> 8, word & 0xff];
+      })();
+  const specific = [0x05, asc.length, ...asc];
+  const decoderConfig = [0x04, 13 + specific.length, 0x40, 0x15, ...new Array(11).fill(0)];
+  const esDescriptor = [
+    0x03,
+    3 + decoderConfig.length + specific.length + 3,
+    0,
+    1,
+    0,
+    ...decoderConfig,
+    ...specific,
+    0x06,
+    1,
+    0x02,
+  ];
+  const box = new MP4Box.BoxParser.esdsBox();
+  box.version = 0;
+  box.flags = 0;
+  box.data = new Uint8Array(esDescriptor);
+  return box;
+}
+
+// Add an encoded audio track to an mp4box file whose movie timescale is TIMESCALE.
+function muxAudioTrack(file, audio) {
+  const trackId = file.addTrack({
+    type: audio.type,
+    hdlr: "soun",
+    timescale: audio.sampleRate,
+    samplerate: audio.sampleRate,
+    channel_count: audio.numberOfChannels,
+    samplesize: 16,
+    duration: Math.round(audio.duration * TIMESCALE),
+    media_duration: Math.round(audio.duration * audio.sampleRate),
+    description_boxes: [audioConfigBox(audio)],
+  });
+  const toTicks = (us) => Math.round((us * audio.sampleRate) / 1e6);
+  const end = Math.round(audio.duration * audio.sampleRate);
+  audio.chunks.forEach((c, i) => {
+    const t = toTicks(c.timestamp);
+    const next = i + 1 < audio.chunks.length ? toTicks(audio.chunks[i + 1].timestamp) : end;
+    file.addSample(trackId, c.data, {
+      duration: Math.max(1, next - t),
+      dts: t,
+      cts: t,
+      is_sync: true,
+    });
+  });
+}
+
+/* ---------- ENCODE + MUX ---------- */
+async function pickAvcConfig(width, height, fps, bitrate) {
+  for (const codec of AVC_CODECS) {
+    const config = { codec, width, height, bitrate, framerate: fps, avc: { format: "avc" } };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return config;
+  }
+  throw new Error(`This browser can't encode ${width}×${height} H.264 video.`);
+}
+
+/**
+ * H.264 → MP4 writer. Frames are encoded as they arrive; the MP4 is assembled in
+ * `finish()` once the total duration is known. Pass PCM from decodeAudioTrack (starting
+ * at the first frame) as `audio` to add a sound track; it's dropped with a warning if
+ * the browser can't encode audio.
+ * @returns {Promise<{addFrame:(source:VideoFrame|CanvasImageSource, timestampUs:number)
+ *   =>Promise<void>, finish:(lastDurationUs?:number, audio?:{sampleRate:number,
+ *   channels:Float32Array[]}|null)=>Promise<Blob>, close:()=>void}>}
+ */
+export async function createMp4Writer({
+  width,
+  height,
+  fps = DEFAULT_FPS,
+  bitrate = CLIP_BITRATE,
+}) {
+  if (!supportsWebCodecs()) throw new Error("This browser doesn't support WebCodecs.");
+  // H.264 needs even dimensions.
+  const w = Math.max(2, Math.floor(width / 2) * 2);
+  const h = Math.max(2, Math.floor(height / 2) * 2);
+  const config = await pickAvcConfig(w, h, fps, bitrate);
+
+  const chunks = [];
+  let description = null;
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => {
+      if (meta?.decoderConfig?.description && !description) {
+        description = new Uint8Array(meta.decoderConfig.description);
+      }
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp, isKey: chunk.type === "key" });
+    },
+    error: (e) => (failure = e),
+  });
+  encoder.configure(config);
+
+  // Frames of another size are letterboxed through a canvas rather than left to the encoder.
+  let canvas = null;
+  let frameCount = 0;
+
+  async function addFrame(source, timestampUs) {
+    if (failure) throw failure;
+    const sw = source.displayWidth ?? source.width;
+    const sh = source.displayHeight ?? source.height;
+    let frame;
+    if (sw === w && sh === h) {
+      frame = new VideoFrame(source, { timestamp: timestampUs });
+    } else {
+      canvas =
+        canvas ||
+        (typeof OffscreenCanvas !== "undefined"
+          ? new OffscreenCanvas(w, h)
+          : Object.assign(document.createElement("canvas"), { width: w, height: h }));
+      const ctx = canvas.getContext("2d");
+      const scale = Math.min(w / sw, h / sh);
+      ctx.fillStyle = "black";
+      ctx.fillRect(0, 0, w, h);
+      ctx.drawImage(source, (w - sw * scale) / 2, (h - sh * scale) / 2, sw * scale, sh * scale);
+      frame = new VideoFrame(canvas, { timestamp: timestampUs });
+    }
+    // A keyframe every second keeps frame-stepping in the tagger snappy.
+    encoder.encode(frame, { keyFrame: frameCount % Math.round(fps) === 0 });
+    frame.close();
+    frameCount++;
+    while (encoder.encodeQueueSize > MAX_QUEUE) await waitForDequeue(encoder);
+  }
+
+  async function finish(lastDurationUs = Math.round(TIMESCALE / fps), audio = null) {
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+    if (!chunks.length) throw new Error("Encoder produced no frames.");
+    const encodedAudio = audio ? await encodeAudio(audio) : null;
+    if (audio && !encodedAudio) console.warn("[clipExtractor] no audio encoder, saving silent");
+
+    chunks.sort((a, b) => a.timestamp - b.timestamp);
+    const base = chunks[0].timestamp;
+    const total = chunks[chunks.length - 1].timestamp - base + lastDurationUs;
+
+    const file = MP4Box.createFile();
+    const trackId = file.addTrack({
+      timescale: TIMESCALE,
+      width: w,
+      height: h,
+      duration: total,
+      media_duration: total,
+      avcDecoderConfigRecord: description?.buffer, // mp4box only parses an ArrayBuffer
+    });
+    chunks.forEach((c, i) => {
+      const t = c.timestamp - base;
+      const next = i + 1 < chunks.length ? chunks[i + 1].timestamp - base : total;
+      // The encoders we target don't reorder frames, so dts === cts.
+      file.addSample(trackId, c.data, { duration: next - t, dts: t, cts: t, is_sync: c.isKey });
+    });
+    if (encodedAudio) muxAudioTrack(file, encodedAudio);
+    return new Blob([file.getBuffer()], { type: MP4_MIME });
+  }
+
+  function close() {
+    if (encoder.state !== "closed") encoder.close();
+  }
+
+  return { addFrame, finish, close, width: w, height: h };
+}
+
+/* ---------- EXTRACT ---------- */
+/**
+ * Cut the frames presented in [startSec, endSec) out of a video into a new MP4 with the
+ * source's own frame timing, keeping the matching stretch of audio unless `audio` is
+ * false. `fps` only spaces frames for the non-MP4 fallback.
+ * @param {{fps?:number, bitrate?:number, audio?:boolean}} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function extractTimeRange(
+  blob,
+  startSec,
+  endSec,
+  { fps = DEFAULT_FPS, bitrate = CLIP_BITRATE, audio = true } = {}
+) {
+  let writer = null;
+  let firstTime = null;
+  let lastTime = null;
+  let prevTime = null;
+
+  try {
+    await decodeFrames(
+      blob,
+      startSec,
+      endSec,
+      async (frame, time) => {
+        try {
+          writer =
+            writer ||
+            (await createMp4Writer({
+              width: frame.displayWidth,
+              height: frame.displayHeight,
+              fps,
+              bitrate,
+            }));
+          await writer.addFrame(frame, Math.round((time - startSec) * 1e6));
+          if (firstTime == null) firstTime = time;
+          prevTime = lastTime;
+          lastTime = time;
+        } finally {
+          frame.close();
+        }
+      },
+      { fps }
+    );
+    if (!writer) throw new Error("No frames in the requested range.");
+    const step = prevTime != null ? lastTime - prevTime : 1 / fps;
+    // The video track starts at the first frame, so the audio does too.
+    const sound = audio ? await decodeAudioTrack(blob, firstTime, lastTime + step) : null;
+    return await writer.finish(Math.round(step * 1e6), sound);
+  } catch (err) {
+    if (writer) writer.close();
+    throw err;
+  }
+}
+
+// Pixel size of a clip without decoding it.
+export function videoDimensions(blob) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    video.src = URL.createObjectURL(blob);
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      resolve({ width: video.videoWidth, height: video.videoHeight, duration: video.duration });
+      URL.revokeObjectURL(video.src);
+    };
+    video.onerror = () => {
+      URL.revokeObjectURL(video.src);
+      reject(new Error("Video load failed"));
+    };
+  });
+}
@@ -1,19 +1,508 @@
 // src/utils/dataModel.js
 /* =====================================================================================
-   Swing Sync Data Model — IndexedDB storage for pitch + swing + matchup clips
+   Swing Sync Data Model — IndexedDB storage for the roster + pitch/swing/matchup clips
    -------------------------------------------------------------------------------------
-   Stores ArrayBuffer bytes + MIME type (no raw Blob).
-   Provides save/get/delete/list functions for PITCH, SWING, and MATCHUP clips.
+   Clip stores hold ArrayBuffer bytes + MIME type (no raw Blob).
+   Roster stores (hitters, pitchers, teams) and clip metadata stores (swings, pitches,
+   matchups) hold the lightweight records the UI lists, so nothing lives in localStorage.
    ===================================================================================== */
 
+import { loadLegacyRoster } from "./persistence";
+
 /* ===== Constants ===== */
 export const DB_NAME = "SwingSyncDB";
-export const DB_VERSION = 1; // reset schema, clean slate
 
 export const STORE_PITCH_CLIPS = "pitchClips";
 export const STORE_SWING_CLIPS = "swingClips";
 export const STORE_MATCHUP_CLIPS = "matchupClips";
 
+// Bitrates for recorded clips/matchups and for the "shrink large clips" re-encode.
+export const CLIP_BITRATE = 10_000_000;
+export const REENCODE_BITRATE = 2_500_000;
+
+// Frame numbers on a swing/pitch are counted at that record's `fps` (the source video's
+// native rate). Records saved before rates were detected were all tagged at 30.
+export const DEFAULT_FPS = 30;
+
+export function recordFps(record) {
+  return Number(record?.fps) || DEFAULT_FPS;
+}
+
+// Slow-motion files hold one frame per captured frame but play back at `fps`, so real
+// time runs at `captureFps`. Ordinary recordings have no `captureFps`.
+export function captureFps(record) {
+  return Number(record?.captureFps) || recordFps(record);
+}
+
+// Media seconds × this = real elapsed seconds (1/8 for 240 fps shown at 30).
+export function realTimeScale(record) {
+  return recordFps(record) / captureFps(record);
+}
+
+// Media time (s) of a tagged frame ("start" | "contact"): the presentation timestamp
+// stored at tagging, or frame / fps for records tagged before timestamps were kept.
+export function tagTime(record, tag) {
+  const time = record?.[`${tag}Time`];
+  if (time != null) return time;
+  const frame = record?.[`${tag}Frame`];
+  return frame == null ? null : frame / recordFps(record);
+}
+
+// Real elapsed milliseconds from the start of the source to a tagged frame.
+export function tagRealMs(record, tag) {
+  const time = tagTime(record, tag);
+  return time == null ? null : time * realTimeScale(record) * 1000;
+}
+
+// Real seconds from the tagged start frame through contact (both frames counted), or null.
+export function swingDuration(swing) {
+  const start = tagTime(swing, "start");
+  const contact = tagTime(swing, "contact");
+  if (start == null || contact == null) return null;
+  return (contact - start) * realTimeScale(swing) + 1 / captureFps(swing);
+}
+
+// Optional swing phase tags, stored on `swing.phases` as { [id]: { frame, time } }.
+// Contact stays in contactFrame/contactTime and sits between launch and finish.
+export const SWING_PHASES = [
+  { id: "load", label: "Load start", short: "Load" },
+  { id: "footDown", label: "Foot down (stride landing)", short: "Foot down" },
+  { id: "launch", label: "Launch (hands start)", short: "Launch" },
+  { id: "finish", label: "Finish", short: "Finish" },
+];
+
+// Tagged phase points plus contact, in swing order: [{ id, short, time }].
+function swingPhasePoints(swing) {
+  const point = (p) => {
+    const tag = swing?.phases?.[p.id];
+    if (!tag) return null;
+    const time = tag.time ?? (tag.frame != null ? tag.frame / recordFps(swing) : null);
+    return time == null ? null : { id: p.id, short: p.short, time };
+  };
+  const contact = tagTime(swing, "contact");
+  return [
+    ...SWING_PHASES.slice(0, 3).map(point),
+    contact == null ? null : { id: "contact", short: "Contact", time: contact },
+    point(SWING_PHASES[3]),
+  ].filter(Boolean);
+}
+
+// Whether the tagged phases (untagged ones skipped) run in swing order around contact.
+export function swingPhasesInOrder(swing) {
+  const points = swingPhasePoints(swing);
+  return points.every((p, i) => i === 0 || p.time > points[i - 1].time);
+}
+
+// Real seconds between consecutive tagged phases:
+// [{ from, to, label: "Load → Foot down", seconds }].
+export function swingPhaseDurations(swing) {
+  const points = swingPhasePoints(swing);
+  return points.slice(1).map((to, i) => ({
+    from: points[i].id,
+    to: to.id,
+    label: `${points[i].short} → ${to.short}`,
+    seconds: (to.time - points[i].time) * realTimeScale(swing),
+  }));
+}
+
+// Delivery events a pitch can be tagged with, in order. They live on `pitch.events` as
+// { [id]: { frame, time } }. Plate arrival is the pitch's contact tag — the frame
+// matchups sync on — so it stays in contactFrame/contactTime.
+export const PITCH_EVENTS = [
+  { id: "firstMove", label: "First movement", short: "Move" },
+  { id: "legLift", label: "Leg lift peak", short: "Lift" },
+  { id: "footStrike", label: "Foot strike", short: "Strike" },
+  { id: "release", label: "Ball release", short: "Release" },
+];
+
+// { frame, time } of a pitch event, or null. "plate" is the contact tag.
+export function pitchEvent(pitch, id) {
+  if (id === "plate") {
+    const time = tagTime(pitch, "contact");
+    return time == null ? null : { frame: pitch.contactFrame ?? null, time };
+  }
+  const event = pitch?.events?.[id];
+  if (!event) return null;
+  return {
+    frame: event.frame ?? null,
+    time: event.time ?? (event.frame != null ? event.frame / recordFps(pitch) : null),
+  };
+}
+
+// Whether the tagged events (untagged ones skipped) run in delivery order up to the plate.
+export function pitchEventsInOrder(pitch) {
+  const times = [...PITCH_EVENTS.map((e) => e.id), "plate"]
+    .map((id) => pitchEvent(pitch, id)?.time)
+    .filter((t) => t != null);
+  return times.every((t, i) => i === 0 || t > times[i - 1]);
+}
+
+// Real seconds from ball release to plate arrival, or null if either is untagged.
+export function releaseToPlate(pitch) {
+  const release = pitchEvent(pitch, "release");
+  const plate = pitchEvent(pitch, "plate");
+  if (!release || !plate || plate.time <= release.time) return null;
+  return (plate.time - release.time) * realTimeScale(pitch);
+}
+
+export const STORE_HITTERS = "hitters";
+export const STORE_PITCHERS = "pitchers";
+export const STORE_TEAMS = "teams";
+export const STORE_SWINGS = "swings";
+export const STORE_PITCHES = "pitches";
+export const STORE_MATCHUPS = "matchups";
+
+// Original uploads, keyed by content hash so the same file is stored once.
+export const STORE_SOURCE_VIDEOS = "sourceVideos";
+
+const ROSTER_STORES = {
+  hitters: STORE_HITTERS,
+  pitchers: STORE_PITCHERS,
+  teams: STORE_TEAMS,
+  swings: STORE_SWINGS,
+  pitches: STORE_PITCHES,
+  matchups: STORE_MATCHUPS,
+};
+
+/* =====================================================================================
+   SCHEMA MIGRATIONS
+   -------------------------------------------------------------------------------------
+   Each step upgrades the DB from (version - 1) to `version`. Steps run in order inside
+   the versionchange transaction, so a failed step aborts the whole upgrade and leaves
+   the previous schema + data untouched. NEVER edit a shipped step — append a new one,
+   and give it a record-level twin in ARCHIVE_UPGRADES (libraryArchive.js) so older
+   backups still import.
+   ===================================================================================== */
+
+// Older clips only carry the owner's name inside the key: `${kind}_${name}_${ts}_${rand}`
+export function ownerNameFromKey(key, prefix) {
+  if (typeof key !== "string" || !key.startsWith(`${prefix}_`)) return "";
+  const parts = key.slice(prefix.length + 1).split("_");
+  return parts.length >= 3 ? parts.slice(0, -2).join("_") : "";
+}
+
+function ensureIndex(store, name, keyPath = name, options = { unique: false }) {
+  if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, options);
+}
+
+// Walks every record in a store, letting `fn` patch it. Returns the number touched.
+function backfillStore(tx, storeName, fn, onRecord) {
+  return new Promise((resolve, reject) => {
+    let processed = 0;
+    const req = tx.objectStore(storeName).openCursor();
+    req.onsuccess = (e) => {
+      const cur = e.target.result;
+      if (!cur) return resolve(processed);
+      const next = fn({ ...cur.value });
+      if (next) cur.update(next);
+      processed++;
+      if (onRecord) onRecord(processed);
+      cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Pitches tagged before delivery events existed kept release in flat releaseFrame /
+// releaseTime fields; fold them into events.release. Null when there's nothing to move.
+export function releaseIntoEvents(rec) {
+  if (!("releaseFrame" in rec) && !("releaseTime" in rec)) return null;
+  const { releaseFrame, releaseTime, ...rest } = rec;
+  if (releaseFrame == null || rest.events?.release) return rest;
+  return {
+    ...rest,
+    events: { ...rest.events, release: { frame: releaseFrame, time: releaseTime ?? null } },
+  };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create clip stores",
+    upgrade(db) {
+      for (const name of [STORE_PITCH_CLIPS, STORE_SWING_CLIPS, STORE_MATCHUP_CLIPS]) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: "key" });
+        }
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Index clips by owner + date, backfill missing fields",
+    async upgrade(db, tx, report) {
+      const pitchStore = tx.objectStore(STORE_PITCH_CLIPS);
+      ensureIndex(pitchStore, "pitcherName");
+      ensureIndex(pitchStore, "createdAt");
+
+      const swingStore = tx.objectStore(STORE_SWING_CLIPS);
+      ensureIndex(swingStore, "hitterName");
+      ensureIndex(swingStore, "createdAt");
+
+      const matchupStore = tx.objectStore(STORE_MATCHUP_CLIPS);
+      ensureIndex(matchupStore, "hitterName");
+      ensureIndex(matchupStore, "pitcherName");
+      ensureIndex(matchupStore, "createdAt");
+
+      await backfillStore(
+        tx,
+        STORE_PITCH_CLIPS,
+        (rec) => ({
+          ...rec,
+          pitcherName: rec.pitcherName || ownerNameFromKey(rec.key, "pitch"),
+          description: rec.description || "",
+          contactFrame: rec.contactFrame ?? null,
+          createdAt: rec.createdAt || 0,
+        }),
+        (n) => report(`Backfilling pitch clips… ${n}`)
+      );
+      await backfillStore(
+        tx,
+        STORE_SWING_CLIPS,
+        (rec) => ({
+          ...rec,
+          hitterName: rec.hitterName || ownerNameFromKey(rec.key, "swing"),
+          description: rec.description || "",
+          startFrame: rec.startFrame ?? null,
+          contactFrame: rec.contactFrame ?? null,
+          adjustments: rec.adjustments ?? null,
+          createdAt: rec.createdAt || 0,
+        }),
+        (n) => report(`Backfilling swing clips… ${n}`)
+      );
+      await backfillStore(
+        tx,
+        STORE_MATCHUP_CLIPS,
+        (rec) => ({
+          ...rec,
+          hitterName: rec.hitterName || "",
+          pitcherName: rec.pitcherName || "",
+          labelType: rec.labelType || "sidebyside",
+          description: rec.description || "",
+          createdAt: rec.createdAt || 0,
+        }),
+        (n) => report(`Backfilling matchups… ${n}`)
+      );
+    },
+  },
+  {
+    version: 3,
+    description: "Move roster + clip metadata from localStorage into IndexedDB",
+    async upgrade(db, tx, report) {
+      db.createObjectStore(STORE_HITTERS, { keyPath: "name" });
+      db.createObjectStore(STORE_PITCHERS, { keyPath: "name" });
+      db.createObjectStore(STORE_TEAMS, { keyPath: "name" });
+      const swings = db.createObjectStore(STORE_SWINGS, { keyPath: "videoKey" });
+      ensureIndex(swings, "hitterName");
+      const pitches = db.createObjectStore(STORE_PITCHES, { keyPath: "videoKey" });
+      ensureIndex(pitches, "pitcherName");
+      const matchups = db.createObjectStore(STORE_MATCHUPS, { keyPath: "videoKey" });
+      ensureIndex(matchups, "hitterName");
+      ensureIndex(matchups, "pitcherName");
+
+      report("Importing roster from localStorage…");
+      const legacy = loadLegacyRoster();
+      const putAll = (store, list, extra = () => ({})) =>
+        list.forEach((item, order) => {
+          tx.objectStore(store).put({ ...item, ...extra(item, order), order });
+        });
+
+      putAll(STORE_HITTERS, legacy.hitters.filter((h) => h?.name));
+      putAll(STORE_PITCHERS, legacy.pitchers.filter((p) => p?.name));
+      putAll(STORE_TEAMS, legacy.teams.filter((t) => t?.name));
+
+      // Metadata without a stored clip still gets a key so the integrity tools can see it.
+      const videoKeyOf = (prefix) => (item, order) => ({
+        videoKey:
+          item.videoKey || item.key || item.swingKey || item.pitchKey || `legacy_${prefix}_${order}`,
+      });
+      putAll(STORE_SWINGS, legacy.swings.filter(Boolean), videoKeyOf("swing"));
+      putAll(STORE_PITCHES, legacy.pitches.filter(Boolean), videoKeyOf("pitch"));
+      putAll(STORE_MATCHUPS, legacy.matchups.filter(Boolean), videoKeyOf("matchup"));
+
+      // Clips saved in IndexedDB but lost from localStorage come back as metadata too.
+      const seed = (clipStore, metaStore, toMeta) =>
+        backfillStore(tx, clipStore, (rec) => {
+          const req = tx.objectStore(metaStore).get(rec.key);
+          req.onsuccess = () => {
+            if (!req.result) tx.objectStore(metaStore).put(toMeta(rec));
+          };
+          return null;
+        });
+
+      report("Linking saved clips…");
+      await seed(STORE_SWING_CLIPS, STORE_SWINGS, (rec) => ({
+        videoKey: rec.key,
+        hitterName: rec.hitterName,
+        description: rec.description,
+        startFrame: rec.startFrame,
+        contactFrame: rec.contactFrame,
+        order: rec.createdAt,
+      }));
+      await seed(STORE_PITCH_CLIPS, STORE_PITCHES, (rec) => ({
+        videoKey: rec.key,
+        pitcherName: rec.pitcherName,
+        description: rec.description,
+        contactFrame: rec.contactFrame,
+        order: rec.createdAt,
+      }));
+      await seed(STORE_MATCHUP_CLIPS, STORE_MATCHUPS, (rec) => ({
+        videoKey: rec.key,
+        hitterName: rec.hitterName,
+        swingIndex: rec.swingIndex,
+        pitcherName: rec.pitcherName,
+        pitchIndex: rec.pitchIndex,
+        labelType: rec.labelType,
+        description: rec.description,
+        createdAt: rec.createdAt,
+        order: rec.createdAt,
+      }));
+    },
+  },
+  {
+    version: 4,
+    description: "Give every hitter, pitcher, swing, pitch and matchup a stable ID",
+    async upgrade(db, tx, report) {
+      const readAll = (name) =>
+        new Promise((resolve, reject) => {
+          const req = tx.objectStore(name).getAll();
+          req.onsuccess = () =>
+            resolve(req.result.sort((a, b) => (a.order ?? 0) - (b.order ?? 0)));
+          req.onerror = () => reject(req.error);
+        });
+
+      report("Assigning IDs…");
+      const hitters = (await readAll(STORE_HITTERS)).map((h) => ({ ...h, id: h.id || newId() }));
+      const pitchers = (await readAll(STORE_PITCHERS)).map((p) => ({ ...p, id: p.id || newId() }));
+      const hitterIds = new Map(hitters.map((h) => [h.name, h.id]));
+      const pitcherIds = new Map(pitchers.map((p) => [p.name, p.id]));
+
+      const swings = (await readAll(STORE_SWINGS)).map((s) => ({
+        ...s,
+        id: s.id || newId(),
+        hitterId: s.hitterId || hitterIds.get(s.hitterName) || null,
+      }));
+      const pitches = (await readAll(STORE_PITCHES)).map((pt) => ({
+        ...pt,
+        id: pt.id || newId(),
+        pitcherId: pt.pitcherId || pitcherIds.get(pt.pitcherName) || null,
+      }));
+
+      // Stored indexes were positions in the per-hitter / per-pitcher lists of the selectors.
+      report("Rewriting matchup references…");
+      const nth = (list, field, name, index) =>
+        list.filter((x) => x[field] === name)[index]?.id || null;
+      const matchups = (await readAll(STORE_MATCHUPS)).map(
+        ({ swingIndex, pitchIndex, ...m }) => ({
+          ...m,
+          id: m.id || newId(),
+          hitterId: m.hitterId || hitterIds.get(m.hitterName) || null,
+          pitcherId: m.pitcherId || pitcherIds.get(m.pitcherName) || null,
+          swingId: m.swingId || nth(swings, "hitterName", m.hitterName, swingIndex),
+          pitchId: m.pitchId || nth(pitches, "pitcherName", m.pitcherName, pitchIndex),
+        })
+      );
+      const matchupByKey = new Map(matchups.map((m) => [m.videoKey, m]));
+
+      // keyPath can't change in place — recreate the stores keyed by id.
+      const recreate = (name, records, indexes) => {
+        db.deleteObjectStore(name);
+        const store = db.createObjectStore(name, { keyPath: "id" });
+        indexes.forEach((idx) => ensureIndex(store, idx));
+        records.forEach((rec) => store.put(rec));
+      };
+      recreate(STORE_HITTERS, hitters, ["name"]);
+      recreate(STORE_PITCHERS, pitchers, ["name"]);
+      recreate(STORE_SWINGS, swings, ["hitterId", "videoKey"]);
+      recreate(STORE_PITCHES, pitches, ["pitcherId", "videoKey"]);
+      recreate(STORE_MATCHUPS, matchups, ["hitterId", "pitcherId", "swingId", "pitchId", "videoKey"]);
+
+      await backfillStore(tx, STORE_MATCHUP_CLIPS, (rec) => {
+        const m = matchupByKey.get(rec.key);
+        if (!m) return null;
+        const { swingIndex: _s, pitchIndex: _p, ...rest } = rec;
+        return {
+          ...rest,
+          hitterId: m.hitterId,
+          pitcherId: m.pitcherId,
+          swingId: m.swingId,
+          pitchId: m.pitchId,
+        };
+      });
+    },
+  },
+  {
+    version: 5,
+    description: "Add source video store",
+    upgrade(db, tx) {
+      if (!db.objectStoreNames.contains(STORE_SOURCE_VIDEOS)) {
+        ensureIndex(db.createObjectStore(STORE_SOURCE_VIDEOS, { keyPath: "hash" }), "createdAt");
+      }
+      ensureIndex(tx.objectStore(STORE_SWINGS), "sourceHash");
+      ensureIndex(tx.objectStore(STORE_PITCHES), "sourceHash");
+    },
+  },
+  {
+    version: 6,
+    description: "Move flat pitch release tags into delivery events",
+    async upgrade(db, tx, report) {
+      await backfillStore(tx, STORE_PITCHES, releaseIntoEvents, (n) =>
+        report(`Updating pitches… ${n}`)
+      );
+      await backfillStore(tx, STORE_PITCH_CLIPS, releaseIntoEvents, (n) =>
+        report(`Updating pitch clips… ${n}`)
+      );
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/* ===== Migration progress (UI subscribes to show an upgrade banner) ===== */
+const migrationListeners = new Set();
+
+export function subscribeMigrationProgress(listener) {
+  migrationListeners.add(listener);
+  return () => migrationListeners.delete(listener);
+}
+
+function emitMigrationProgress(event) {
+  for (const listener of migrationListeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn("[migrations] listener failed", err);
+    }
+  }
+}
+
+function runMigrations(db, tx, oldVersion, newVersion) {
+  const steps = MIGRATIONS.filter((m) => m.version > oldVersion && m.version <= newVersion);
+  const total = steps.length;
+  emitMigrationProgress({ phase: "start", from: oldVersion, to: newVersion, total });
+
+  // Steps are chained on the same versionchange transaction; any rejection aborts it.
+  return steps.reduce(
+    (prev, step, i) =>
+      prev.then(() => {
+        const report = (detail) =>
+          emitMigrationProgress({
+            phase: "step",
+            from: oldVersion,
+            to: newVersion,
+            version: step.version,
+            step: i + 1,
+            total,
+            description: step.description,
+            detail,
+          });
+        report("");
+        return step.upgrade(db, tx, report);
+      }),
+    Promise.resolve()
+  );
+}
+
 // ======== RE-ENCODE WEBM TO MP4 (no FFmpeg) ========
 export async function reencodeToMp4(inputBlob) {
   const video = document.createElement("video");
@@ -52,6 +541,41 @@ export async function reencodeToMp4(inputBlob) {
 
 
 /* ===== Utilities ===== */
+// Thrown by every write when the browser refuses more bytes.
+export class StorageQuotaError extends Error {
+  constructor(cause) {
+    super(
+      "Browser storage is full. Open Storage to delete old matchups or shrink large clips, then try again."
+    );
+    this.name = "StorageQuotaError";
+    this.cause = cause;
+  }
+}
+
+export function isQuotaError(err) {
+  return (
+    err instanceof StorageQuotaError ||
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err?.code === 22
+  );
+}
+
+// Quota failures abort the transaction; surface them as StorageQuotaError.
+function txError(tx) {
+  const err = tx.error || new Error("IndexedDB transaction aborted");
+  return isQuotaError(err) ? new StorageQuotaError(err) : err;
+}
+
+export function newId() {
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+  // Non-secure contexts (plain http on a LAN) have no randomUUID.
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
 function blobFromBytes(bytes, type = "video/webm") {
   try {
     return new Blob([bytes], { type });
@@ -60,48 +584,468 @@ function blobFromBytes(bytes, type = "video/webm") {
   }
 }
 
+// Metadata stores are keyed by id; clip bytes by videoKey. Reach one from the other.
+function deleteMetaByVideoKey(tx, metaStore, videoKey) {
+  const req = tx.objectStore(metaStore).index("videoKey").openCursor(IDBKeyRange.only(videoKey));
+  req.onsuccess = () => {
+    const cur = req.result;
+    if (cur) {
+      cur.delete();
+      cur.continue();
+    }
+  };
+}
+
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
+    let migrationError = null;
+    let upgrading = null;
+
+    req.onupgradeneeded = (e) => {
       const db = req.result;
-      if (!db.objectStoreNames.contains(STORE_PITCH_CLIPS)) {
-        db.createObjectStore(STORE_PITCH_CLIPS, { keyPath: "key" });
-      }
-      if (!db.objectStoreNames.contains(STORE_SWING_CLIPS)) {
-        db.createObjectStore(STORE_SWING_CLIPS, { keyPath: "key" });
+      const tx = req.transaction;
+      upgrading = { from: e.oldVersion, to: e.newVersion ?? DB_VERSION };
+      runMigrations(db, tx, upgrading.from, upgrading.to).catch((err) => {
+        migrationError = err;
+        console.error("[migrations] failed, rolling back", err);
+        try {
+          tx.abort();
+        } catch {
+          /* already finished */
+        }
+      });
+    };
+    req.onblocked = () => {
+      emitMigrationProgress({ phase: "blocked", to: DB_VERSION });
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer tab upgrade instead of being blocked by this connection.
+      db.onversionchange = () => db.close();
+      if (upgrading) emitMigrationProgress({ phase: "done", ...upgrading });
+      resolve(db);
+    };
+    req.onerror = () => {
+      const err = migrationError || req.error;
+      if (upgrading) emitMigrationProgress({ phase: "error", ...upgrading, error: err });
+      reject(err);
+    };
+  });
+}
+
+// Opens (and upgrades, if needed) the DB once so migrations run up front, not mid-save.
+export async function initDB() {
+  const db = await openDB();
+  const version = db.version;
+  db.close();
+  return version;
+}
+
+/* =====================================================================================
+   ROSTER + METADATA API
+   -------------------------------------------------------------------------------------
+   Slices: { hitters, pitchers, teams, swings, pitches, matchups } — plain arrays, with
+   array order persisted in an `order` field. Everything but teams is keyed by `id`;
+   swings/pitches/matchups point at their clip bytes through `videoKey`.
+   ===================================================================================== */
+const ROSTER_KEY_PATHS = {
+  hitters: "id",
+  pitchers: "id",
+  teams: "name",
+  swings: "id",
+  pitches: "id",
+  matchups: "id",
+};
+
+export async function loadRoster() {
+  const db = await openDB();
+  const slices = await new Promise((resolve, reject) => {
+    const out = {};
+    const tx = db.transaction(Object.values(ROSTER_STORES), "readonly");
+    for (const [slice, storeName] of Object.entries(ROSTER_STORES)) {
+      const req = tx.objectStore(storeName).getAll();
+      req.onsuccess = () => {
+        out[slice] = req.result
+          .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+          .map((rec) => {
+            const { order: _order, ...rest } = rec;
+            return rest;
+          });
+      };
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return slices;
+}
+
+// Append a roster record to its list; `order` is always a position in the list.
+function putLast(store, record) {
+  const req = store.count();
+  req.onsuccess = () => store.put({ ...record, order: req.result });
+}
+
+// Saves run one at a time in call order. While one is writing, later calls merge into a
+// single pending snapshot (newest slices win), so an older save can't land last.
+let rosterWrite = Promise.resolve();
+let pendingRoster = null;
+
+// Replaces every slice passed in, all-or-nothing in a single transaction.
+export function saveRoster(slices) {
+  const queued = pendingRoster != null;
+  pendingRoster = { ...pendingRoster, ...slices };
+  if (!queued) {
+    rosterWrite = rosterWrite
+      .catch(() => {})
+      .then(() => {
+        const next = pendingRoster;
+        pendingRoster = null;
+        return writeRoster(next);
+      });
+  }
+  return rosterWrite;
+}
+
+async function writeRoster(slices) {
+  const names = Object.keys(slices).filter((k) => ROSTER_STORES[k]);
+  if (!names.length) return;
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      names.map((n) => ROSTER_STORES[n]),
+      "readwrite"
+    );
+    for (const slice of names) {
+      const store = tx.objectStore(ROSTER_STORES[slice]);
+      const keyPath = ROSTER_KEY_PATHS[slice];
+      store.clear();
+      (slices[slice] || []).forEach((item, order) => {
+        if (item && item[keyPath] != null) store.put({ ...item, order });
+      });
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+}
+
+/* =====================================================================================
+   RAW STORE ACCESS (library backup / restore)
+   ===================================================================================== */
+export const CLIP_STORES = [STORE_PITCH_CLIPS, STORE_SWING_CLIPS, STORE_MATCHUP_CLIPS];
+export const ALL_STORES = [
+  ...CLIP_STORES,
+  ...Object.values(ROSTER_STORES),
+  STORE_SOURCE_VIDEOS,
+];
+
+// Full records, bytes included. { [storeName]: record[] }
+// `map(record, storeName)` runs on each record as a cursor reaches it, so clip bytes can
+// be swapped for something lighter (a Blob) before the next clip is read.
+export async function readStores(storeNames = ALL_STORES, { map } = {}) {
+  const db = await openDB();
+  const out = await new Promise((resolve, reject) => {
+    const res = {};
+    const tx = db.transaction(storeNames, "readonly");
+    for (const name of storeNames) {
+      if (!map) {
+        const req = tx.objectStore(name).getAll();
+        req.onsuccess = () => (res[name] = req.result);
+        continue;
       }
-      if (!db.objectStoreNames.contains(STORE_MATCHUP_CLIPS)) {
-        db.createObjectStore(STORE_MATCHUP_CLIPS, { keyPath: "key" });
+      res[name] = [];
+      const req = tx.objectStore(name).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        res[name].push(map(cur.value, name));
+        cur.continue();
+      };
+    }
+    tx.oncomplete = () => resolve(res);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return out;
+}
+
+// Primary keys only — cheap even for the clip stores. { [storeName]: key[] }
+export async function readStoreKeys(storeNames = ALL_STORES) {
+  const db = await openDB();
+  const out = await new Promise((resolve, reject) => {
+    const res = {};
+    const tx = db.transaction(storeNames, "readonly");
+    for (const name of storeNames) {
+      const req = tx.objectStore(name).getAllKeys();
+      req.onsuccess = () => (res[name] = req.result);
+    }
+    tx.oncomplete = () => resolve(res);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return out;
+}
+
+// Puts every record in one transaction. `clear` empties ALL stores first (full replace).
+export async function writeStores(data, { clear = false } = {}) {
+  const names = clear ? ALL_STORES : Object.keys(data).filter((n) => ALL_STORES.includes(n));
+  if (!names.length) return;
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, "readwrite");
+    for (const name of names) {
+      const store = tx.objectStore(name);
+      if (clear) store.clear();
+      (data[name] || []).forEach((rec) => store.put(rec));
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+}
+
+// Deletes by primary key in one transaction. { [storeName]: key[] }
+export async function deleteStoreRecords(data) {
+  const names = Object.keys(data).filter((n) => ALL_STORES.includes(n));
+  if (!names.length) return;
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, "readwrite");
+    for (const name of names) {
+      const store = tx.objectStore(name);
+      data[name].forEach((key) => store.delete(key));
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+}
+
+/* =====================================================================================
+   CLIP SIZES (storage dashboard, integrity check)
+   ===================================================================================== */
+// One row per stored clip: { store, key, size, type, createdAt, fields }, where
+// `fields` is the record minus its bytes. Walks a cursor so only one clip's bytes
+// are in memory at a time.
+export async function scanClipSizes(storeNames = CLIP_STORES) {
+  const db = await openDB();
+  const rows = await new Promise((resolve, reject) => {
+    const out = [];
+    const tx = db.transaction(storeNames, "readonly");
+    for (const store of storeNames) {
+      const req = tx.objectStore(store).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        const { bytes, blob, ...fields } = cur.value || {};
+        const size = bytes?.byteLength ?? blob?.size ?? 0;
+        out.push({
+          store,
+          key: cur.key,
+          size,
+          type: fields.type,
+          createdAt: fields.createdAt || 0,
+          fields,
+        });
+        cur.continue();
+      };
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return rows;
+}
+
+// Swap a clip's bytes (e.g. after re-encoding) and keep every other field.
+export async function replaceClipBytes(storeName, key, blob) {
+  if (!CLIP_STORES.includes(storeName)) throw new Error(`Not a clip store: ${storeName}`);
+  const db = await openDB();
+  const bytes = storeName === STORE_MATCHUP_CLIPS ? null : await blob.arrayBuffer();
+  const updated = await new Promise((resolve, reject) => {
+    let found = false;
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    const getReq = store.get(key);
+    getReq.onsuccess = () => {
+      const rec = getReq.result;
+      if (!rec) return;
+      found = true;
+      const type = blob.type || rec.type;
+      store.put(bytes ? { ...rec, bytes, type } : { ...rec, blob, type });
+    };
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return updated;
+}
+
+/* =====================================================================================
+   SOURCE VIDEOS (original uploads, so clips can be re-trimmed later)
+   ===================================================================================== */
+// SHA-256 hex of the file contents. Non-secure contexts have no crypto.subtle, so fall
+// back to FNV-1a + size — good enough to dedupe a user's own uploads.
+export async function hashBlob(blob) {
+  const buf = await blob.arrayBuffer();
+  if (globalThis.crypto?.subtle) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", buf));
+    return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  const bytes = new Uint8Array(buf);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 0x01000193);
+  return `fnv-${(h >>> 0).toString(16)}-${bytes.length}`;
+}
+
+// Stores the file once per content hash. Resolves to the hash for `sourceHash`.
+export async function saveSourceVideo(blob, name = "") {
+  const hash = await hashBlob(blob);
+  const bytes = await blob.arrayBuffer();
+  const type = blob.type && blob.type.startsWith("video/") ? blob.type : "video/webm";
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SOURCE_VIDEOS, "readwrite");
+    const store = tx.objectStore(STORE_SOURCE_VIDEOS);
+    const existing = store.getKey(hash);
+    existing.onsuccess = () => {
+      if (existing.result === undefined) {
+        store.put({ hash, bytes, type, name, size: bytes.byteLength, createdAt: Date.now() });
       }
     };
-    req.onsuccess = () => resolve(req.result);
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return hash;
+}
+
+export async function getSourceVideoBlob(hash) {
+  if (!hash) return null;
+  const db = await openDB();
+  const rec = await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SOURCE_VIDEOS, "readonly");
+    const req = tx.objectStore(STORE_SOURCE_VIDEOS).get(hash);
+    req.onsuccess = () => resolve(req.result || null);
     req.onerror = () => reject(req.error);
   });
+  db.close();
+  if (!rec) return null;
+  return blobFromBytes(rec.bytes, rec.type);
+}
+
+// Deletes originals no swing or pitch points at anymore. Resolves to the number removed.
+export async function pruneSourceVideos() {
+  const db = await openDB();
+  const removed = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_SOURCE_VIDEOS, STORE_SWINGS, STORE_PITCHES], "readwrite");
+    const used = new Set();
+    let count = 0;
+    let pending = 2;
+
+    const sweep = () => {
+      const req = tx.objectStore(STORE_SOURCE_VIDEOS).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        if (!used.has(cur.key)) {
+          cur.delete();
+          count++;
+        }
+        cur.continue();
+      };
+    };
+    for (const storeName of [STORE_SWINGS, STORE_PITCHES]) {
+      const req = tx.objectStore(storeName).index("sourceHash").openKeyCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) {
+          if (--pending === 0) sweep();
+          return;
+        }
+        used.add(cur.key);
+        cur.continue();
+      };
+    }
+    tx.oncomplete = () => resolve(count);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
+  return removed;
+}
+
+// "Discard originals": frees the space; records keep `sourceHash` but editing falls
+// back to the trimmed clip.
+export async function discardSourceVideos() {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SOURCE_VIDEOS, "readwrite");
+    tx.objectStore(STORE_SOURCE_VIDEOS).clear();
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
+  });
+  db.close();
 }
 
 /* =====================================================================================
    PITCH CLIP API
    ===================================================================================== */
-export async function savePitchClip(videoKey, blob, description = "", contactFrame = null) {
+export async function savePitchClip(
+  videoKey,
+  blob,
+  description = "",
+  contactFrame = null,
+  pitcherName = "",
+  meta = {}
+) {
   const db = await openDB();
   const bytes = await blob.arrayBuffer();
   const type = blob.type && blob.type.startsWith("video/") ? blob.type : "video/webm";
+  const createdAt = Date.now();
+  const pitch = {
+    id: newId(),
+    videoKey,
+    pitcherName,
+    description,
+    contactFrame,
+    ...meta,
+  };
 
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_PITCH_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_PITCH_CLIPS, STORE_PITCHES], "readwrite");
     tx.objectStore(STORE_PITCH_CLIPS).put({
       key: videoKey,
       bytes,
       type,
+      pitcherName,
       description,
       contactFrame,
-      createdAt: Date.now(),
+      fps: meta.fps ?? null,
+      captureFps: meta.captureFps ?? null,
+      contactTime: meta.contactTime ?? null,
+      events: meta.events ?? null,
+      createdAt,
     });
+    putLast(tx.objectStore(STORE_PITCHES), pitch);
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
+  return pitch;
 }
 
 export async function getPitchClipBlob(videoKey) {
@@ -120,12 +1064,15 @@ export async function getPitchClipBlob(videoKey) {
 export async function deletePitchClip(videoKey) {
   const db = await openDB();
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_PITCH_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_PITCH_CLIPS, STORE_PITCHES], "readwrite");
     tx.objectStore(STORE_PITCH_CLIPS).delete(videoKey);
+    deleteMetaByVideoKey(tx, STORE_PITCHES, videoKey);
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
+  await pruneSourceVideos();
 }
 
 export async function listPitchClipKeys() {
@@ -157,14 +1104,25 @@ export async function saveSwingClip(
   description = "",
   startFrame = null,
   contactFrame = null,
-  adjustments = null
+  adjustments = null,
+  meta = {}
 ) {
   const db = await openDB();
   const bytes = await blob.arrayBuffer();
   const type = blob.type && blob.type.startsWith("video/") ? blob.type : "video/webm";
+  const createdAt = Date.now();
+  const swing = {
+    id: newId(),
+    videoKey,
+    hitterName,
+    description,
+    startFrame,
+    contactFrame,
+    ...meta,
+  };
 
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_SWING_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_SWING_CLIPS, STORE_SWINGS], "readwrite");
     tx.objectStore(STORE_SWING_CLIPS).put({
       key: videoKey,
       bytes,
@@ -173,13 +1131,21 @@ export async function saveSwingClip(
       description,
       startFrame,
       contactFrame,
+      fps: meta.fps ?? null,
+      captureFps: meta.captureFps ?? null,
+      startTime: meta.startTime ?? null,
+      contactTime: meta.contactTime ?? null,
+      phases: meta.phases ?? null,
       adjustments,
-      createdAt: Date.now(),
+      createdAt,
     });
+    putLast(tx.objectStore(STORE_SWINGS), swing);
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
+  return swing;
 }
 
 export async function getSwingClipBlob(videoKey) {
@@ -198,12 +1164,15 @@ export async function getSwingClipBlob(videoKey) {
 export async function deleteSwingClip(videoKey) {
   const db = await openDB();
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_SWING_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_SWING_CLIPS, STORE_SWINGS], "readwrite");
     tx.objectStore(STORE_SWING_CLIPS).delete(videoKey);
+    deleteMetaByVideoKey(tx, STORE_SWINGS, videoKey);
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
+  await pruneSourceVideos();
 }
 
 export async function listSwingClipKeys() {
@@ -234,65 +1203,73 @@ export async function listSwingClipKeys() {
    =========================== */
 
 export async function saveMatchupClip(key, blob, meta = {}) {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onsuccess = (ev) => {
-      const db = ev.target.result;
-      const tx = db.transaction(STORE_MATCHUP_CLIPS, "readwrite");
-      const store = tx.objectStore(STORE_MATCHUP_CLIPS);
-
-      // ✅ keyPath schema expects the key inside the object, not as a param
-      const record = {
-        key,
-        blob,
-        type: blob?.type || "video/webm",
-        createdAt: Date.now(),
-        ...meta,
-      };
+  const db = await openDB();
+  const matchup = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_MATCHUP_CLIPS, STORE_MATCHUPS], "readwrite");
+    const store = tx.objectStore(STORE_MATCHUP_CLIPS);
+    const createdAt = Date.now();
+
+    // ✅ keyPath schema expects the key inside the object, not as a param
+    const record = {
+      key,
+      blob,
+      type: blob?.type || "video/webm",
+      createdAt,
+      ...meta,
+    };
 
-      store.put(record); // <— no key param
+    store.put(record); // <— no key param
 
-      tx.oncomplete = () => resolve(true);
-      tx.onerror = () => reject(tx.error);
+    // Re-rendering the same pair overwrites the clip, so keep its existing matchup id.
+    const metas = tx.objectStore(STORE_MATCHUPS);
+    let saved = null;
+    const existing = metas.index("videoKey").get(key);
+    existing.onsuccess = () => {
+      saved = {
+        id: existing.result?.id || newId(),
+        videoKey: key,
+        createdAt,
+        ...meta,
+      };
+      // A re-render keeps its place in the list; a new matchup goes last.
+      if (existing.result) metas.put({ ...saved, order: existing.result.order });
+      else putLast(metas, saved);
     };
-    req.onerror = () => reject(req.error);
+
+    tx.oncomplete = () => resolve(saved);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
+  db.close();
+  return matchup;
 }
 
 export async function getMatchupClipBlob(key) {
   if (!key) throw new Error("getMatchupClipBlob: key required");
 
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onsuccess = (ev) => {
-      const db = ev.target.result;
-      const tx = db.transaction(STORE_MATCHUP_CLIPS, "readonly");
-      const store = tx.objectStore(STORE_MATCHUP_CLIPS);
-
-      const getReq = store.get(key);
-      getReq.onsuccess = () => {
-        const data = getReq.result;
-        if (!data) {
-          reject(new Error(`No matchup found for key ${key}`));
-          return;
-        }
-        // Support both plain Blob and wrapped record
-        const blob = data instanceof Blob ? data : data.blob;
-        resolve(blob);
-      };
-      getReq.onerror = () => reject(getReq.error);
-    };
-    req.onerror = () => reject(req.error);
+  const db = await openDB();
+  const data = await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_MATCHUP_CLIPS, "readonly");
+    const getReq = tx.objectStore(STORE_MATCHUP_CLIPS).get(key);
+    getReq.onsuccess = () => resolve(getReq.result || null);
+    getReq.onerror = () => reject(getReq.error);
   });
+  db.close();
+
+  if (!data) throw new Error(`No matchup found for key ${key}`);
+  // Support both plain Blob and wrapped record
+  return data instanceof Blob ? data : data.blob;
 }
 
 export async function deleteMatchupClip(videoKey) {
   const db = await openDB();
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_MATCHUP_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_MATCHUP_CLIPS, STORE_MATCHUPS], "readwrite");
     tx.objectStore(STORE_MATCHUP_CLIPS).delete(videoKey);
+    deleteMetaByVideoKey(tx, STORE_MATCHUPS, videoKey);
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
 }
@@ -309,11 +1286,17 @@ export async function listMatchupClipKeys() {
         const v = cur.value;
         out.push({
           key: v.key,
+          videoKey: v.key,
+          hitterId: v.hitterId,
           hitterName: v.hitterName,
-          swingIndex: v.swingIndex,
+          swingId: v.swingId,
+          pitcherId: v.pitcherId,
           pitcherName: v.pitcherName,
-          pitchIndex: v.pitchIndex,
+          pitchId: v.pitchId,
           labelType: v.labelType || "sidebyside",
+          syncOffset: v.syncOffset ?? 0,
+          template: v.template || null,
+          pipRect: v.pipRect || null,
           description: v.description || "",
           createdAt: v.createdAt,
         });
@@ -327,45 +1310,106 @@ export async function listMatchupClipKeys() {
 }
 
 
+const CLIP_META_STORES = {
+  [STORE_PITCH_CLIPS]: STORE_PITCHES,
+  [STORE_SWING_CLIPS]: STORE_SWINGS,
+  [STORE_MATCHUP_CLIPS]: STORE_MATCHUPS,
+};
+
+// Metadata record (pitch, swing or matchup) of a stored clip; null when there is none.
+export async function getClipMeta(storeName, key) {
+  const metaStore = CLIP_META_STORES[storeName];
+  if (!metaStore) throw new Error(`Not a clip store: ${storeName}`);
+  const db = await openDB();
+  const meta = await new Promise((resolve, reject) => {
+    const tx = db.transaction(metaStore, "readonly");
+    const req = tx.objectStore(metaStore).index("videoKey").get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+  db.close();
+  return meta;
+}
+
+// Any clip store by name; null when the clip is missing.
+export async function getClipBlob(storeName, key) {
+  if (storeName === STORE_PITCH_CLIPS) return getPitchClipBlob(key);
+  if (storeName === STORE_SWING_CLIPS) return getSwingClipBlob(key);
+  if (storeName === STORE_MATCHUP_CLIPS) return getMatchupClipBlob(key).catch(() => null);
+  throw new Error(`Not a clip store: ${storeName}`);
+}
+
 /* =====================================================================================
-   UPDATE DESCRIPTION HELPERS
+   UPDATE HELPERS (description, tags, re-trimmed bytes)
    ===================================================================================== */
-export async function updateSwingDescription(videoKey, newDescription) {
+// Patches the clip record and its metadata record together. `clipOnly` (e.g. new
+// bytes) goes to the clip record alone.
+async function updateClipFields(clipStore, metaStore, videoKey, fields, clipOnly = {}) {
   const db = await openDB();
-  await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_SWING_CLIPS, "readwrite");
-    const store = tx.objectStore(STORE_SWING_CLIPS);
-    const getReq = store.get(videoKey);
+  const updated = await new Promise((resolve, reject) => {
+    const tx = db.transaction([clipStore, metaStore], "readwrite");
+    let found = false;
+    const clips = tx.objectStore(clipStore);
+    const getReq = clips.get(videoKey);
     getReq.onsuccess = () => {
-      const data = getReq.result;
-      if (!data) return resolve(false);
-      data.description = newDescription;
-      store.put(data);
-      tx.oncomplete = resolve;
-      tx.onerror = () => reject(tx.error);
+      if (!getReq.result) return;
+      found = true;
+      clips.put({ ...getReq.result, ...fields, ...clipOnly });
     };
-    getReq.onerror = () => reject(getReq.error);
+    const metas = tx.objectStore(metaStore);
+    const metaReq = metas.index("videoKey").openCursor(IDBKeyRange.only(videoKey));
+    metaReq.onsuccess = () => {
+      const cur = metaReq.result;
+      if (!cur) return;
+      cur.update({ ...cur.value, ...fields });
+      cur.continue();
+    };
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
+  return updated;
+}
+
+export async function updateSwingDescription(videoKey, newDescription) {
+  return updateClipFields(STORE_SWING_CLIPS, STORE_SWINGS, videoKey, {
+    description: newDescription,
+  });
 }
 
 export async function updatePitchDescription(videoKey, newDescription) {
-  const db = await openDB();
-  await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_PITCH_CLIPS, "readwrite");
-    const store = tx.objectStore(STORE_PITCH_CLIPS);
-    const getReq = store.get(videoKey);
-    getReq.onsuccess = () => {
-      const data = getReq.result;
-      if (!data) return resolve(false);
-      data.description = newDescription;
-      store.put(data);
-      tx.oncomplete = resolve;
-      tx.onerror = () => reject(tx.error);
-    };
-    getReq.onerror = () => reject(getReq.error);
+  return updateClipFields(STORE_PITCH_CLIPS, STORE_PITCHES, videoKey, {
+    description: newDescription,
   });
-  db.close();
+}
+
+async function clipBytesFields(blob) {
+  if (!blob) return {};
+  const type = blob.type && blob.type.startsWith("video/") ? blob.type : "video/webm";
+  return { bytes: await blob.arrayBuffer(), type };
+}
+
+// Edit an existing swing in place: same id and videoKey, new fields and optionally
+// re-captured bytes. Resolves false if the clip is gone.
+export async function updateSwingClip(videoKey, fields, blob = null) {
+  return updateClipFields(
+    STORE_SWING_CLIPS,
+    STORE_SWINGS,
+    videoKey,
+    fields,
+    await clipBytesFields(blob)
+  );
+}
+
+export async function updatePitchClip(videoKey, fields, blob = null) {
+  return updateClipFields(
+    STORE_PITCH_CLIPS,
+    STORE_PITCHES,
+    videoKey,
+    fields,
+    await clipBytesFields(blob)
+  );
 }
 
 
@@ -373,7 +1417,7 @@ export async function updatePitchDescription(videoKey, newDescription) {
    Helpers
    ===================================================================================== */
 export function createHitter(name) {
-  return { name, swings: [] };
+  return { id: newId(), name, swings: [] };
 }
 export function addSwing(hitter, swing) {
   hitter.swings.push(swing);
@@ -384,7 +1428,7 @@ export function deleteSwing(hitter, index) {
 }
 
 export function createPitcher(name, description = "", teamName = "") {
-  return { name, description, teamName, pitches: [] };
+  return { id: newId(), name, description, teamName, pitches: [] };
 }
 export function addPitch(pitcher, pitch) {
   pitcher.pitches.push(pitch);
@@ -400,6 +1444,9 @@ export function findHitter(hitters, name) {
 export function findPitcher(pitchers, name) {
   return pitchers.find((p) => p.name === name);
 }
+export function findById(list, id) {
+  return id == null ? undefined : list.find((x) => x.id === id);
+}
 
 export async function deleteAllClips() {
   const db = await openDB();
@@ -410,7 +1457,8 @@ export async function deleteAllClips() {
           const tx = db.transaction(storeName, "readwrite");
           tx.objectStore(storeName).clear();
           tx.oncomplete = resolve;
-          tx.onerror = () => reject(tx.error);
+          tx.onerror = () => reject(txError(tx));
+          tx.onabort = () => reject(txError(tx));
         })
     )
   );
@@ -421,10 +1469,12 @@ export async function deleteAllClips() {
 export async function deleteAllSwingClips() {
   const db = await openDB();
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_SWING_CLIPS, "readwrite");
+    const tx = db.transaction([STORE_SWING_CLIPS, STORE_SWINGS], "readwrite");
     tx.objectStore(STORE_SWING_CLIPS).clear();
+    tx.objectStore(STORE_SWINGS).clear();
     tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
+    tx.onerror = () => reject(txError(tx));
+    tx.onabort = () => reject(txError(tx));
   });
   db.close();
   console.log("✅ All swing clips deleted");
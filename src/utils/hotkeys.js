@@ -0,0 +1,93 @@
+// src/utils/hotkeys.js
+// VideoTagger keyboard shortcuts. Bindings are combo strings like "Shift+ArrowRight";
+// user changes are stored as overrides in settings so new actions pick up defaults.
+import { loadSettings, saveSettings } from "./settings";
+
+export const TAGGER_ACTIONS = [
+  { id: "stepBack", label: "Back 1 frame" },
+  { id: "stepForward", label: "Forward 1 frame" },
+  { id: "jumpBack", label: "Back 10 frames" },
+  { id: "jumpForward", label: "Forward 10 frames" },
+  { id: "playPause", label: "Play / pause" },
+  { id: "slower", label: "Slower playback" },
+  { id: "faster", label: "Faster playback" },
+  { id: "tagSwingStart", label: "Tag swing start" },
+  { id: "tagLoad", label: "Tag load start" },
+  { id: "tagFootDown", label: "Tag foot down" },
+  { id: "tagLaunch", label: "Tag launch" },
+  { id: "tagSwingContact", label: "Tag swing contact" },
+  { id: "tagFinish", label: "Tag finish" },
+  { id: "tagFirstMove", label: "Tag pitcher first movement" },
+  { id: "tagLegLift", label: "Tag leg lift peak" },
+  { id: "tagFootStrike", label: "Tag foot strike" },
+  { id: "tagPitchRelease", label: "Tag ball release" },
+  { id: "tagPitchContact", label: "Tag plate arrival (pitch contact)" },
+];
+
+export const DEFAULT_TAGGER_HOTKEYS = {
+  stepBack: "ArrowLeft",
+  stepForward: "ArrowRight",
+  jumpBack: "Shift+ArrowLeft",
+  jumpForward: "Shift+ArrowRight",
+  playPause: "Space",
+  slower: "[",
+  faster: "]",
+  tagSwingStart: "s",
+  tagSwingContact: "c",
+  tagLoad: "1",
+  tagFootDown: "2",
+  tagLaunch: "3",
+  tagFinish: "4",
+  tagFirstMove: "m",
+  tagLegLift: "l",
+  tagFootStrike: "f",
+  tagPitchRelease: "r",
+  tagPitchContact: "p",
+};
+
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta"];
+
+/**
+ * Combo string for a keydown event, or null for a bare modifier press. Shift is only
+ * spelled out for named keys — for characters it's already in `e.key` ("S", "{").
+ */
+export function keyCombo(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  const key = e.key === " " ? "Space" : e.key;
+  const named = key.length > 1;
+  const parts = [];
+  if (e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.metaKey) parts.push("Meta");
+  if (e.shiftKey && named) parts.push("Shift");
+  parts.push(key);
+  return parts.join("+");
+}
+
+export function loadTaggerHotkeys() {
+  return { ...DEFAULT_TAGGER_HOTKEYS, ...(loadSettings().taggerHotkeys || {}) };
+}
+
+// Bind `combo` to `actionId`, unbinding any other action that used it.
+export function saveTaggerHotkey(actionId, combo) {
+  const overrides = { ...(loadSettings().taggerHotkeys || {}) };
+  const current = loadTaggerHotkeys();
+  for (const [id, bound] of Object.entries(current)) {
+    if (id !== actionId && bound === combo) overrides[id] = "";
+  }
+  overrides[actionId] = combo;
+  saveSettings({ taggerHotkeys: overrides });
+  return loadTaggerHotkeys();
+}
+
+export function resetTaggerHotkeys() {
+  saveSettings({ taggerHotkeys: {} });
+  return { ...DEFAULT_TAGGER_HOTKEYS };
+}
+
+// Action bound to a keydown event, if any.
+export function actionForEvent(hotkeys, e) {
+  const combo = keyCombo(e);
+  if (!combo) return null;
+  return Object.keys(hotkeys).find((id) => hotkeys[id] === combo) || null;
+}
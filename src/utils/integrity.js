@@ -0,0 +1,301 @@
+// src/utils/integrity.js
+/* =====================================================================================
+   Library integrity check — clip stores vs. metadata stores vs. roster
+   -------------------------------------------------------------------------------------
+   scanIntegrity() only reads. Every fix is a separate, explicit call so the user can
+   review each item first; the caller reloads the roster afterwards.
+   ===================================================================================== */
+import {
+  STORE_PITCH_CLIPS,
+  STORE_SWING_CLIPS,
+  STORE_MATCHUP_CLIPS,
+  STORE_HITTERS,
+  STORE_PITCHERS,
+  STORE_SWINGS,
+  STORE_PITCHES,
+  STORE_MATCHUPS,
+  CLIP_STORES,
+  readStores,
+  writeStores,
+  deleteStoreRecords,
+  scanClipSizes,
+  getClipBlob,
+  createHitter,
+  createPitcher,
+  newId,
+  ownerNameFromKey,
+} from "./dataModel";
+
+export const ISSUE_ORPHAN_CLIP = "orphanClip"; // bytes with no metadata record
+export const ISSUE_MISSING_CLIP = "missingClip"; // metadata record with no bytes
+export const ISSUE_UNREADABLE = "unreadable"; // bytes that are empty or won't decode
+export const ISSUE_MISSING_OWNER = "missingOwner"; // record whose hitter/pitcher is gone
+
+// How each clip store maps to its metadata store and owning roster store(s).
+const CLIP_KINDS = {
+  [STORE_SWING_CLIPS]: {
+    label: "Swing",
+    keyPrefix: "swing",
+    meta: STORE_SWINGS,
+    owners: [
+      { store: STORE_HITTERS, idKey: "hitterId", nameKey: "hitterName", create: createHitter },
+    ],
+    fields: [
+      "hitterId",
+      "hitterName",
+      "description",
+      "startFrame",
+      "contactFrame",
+      "fps",
+      "captureFps",
+      "startTime",
+      "contactTime",
+      "phases",
+    ],
+  },
+  [STORE_PITCH_CLIPS]: {
+    label: "Pitch",
+    keyPrefix: "pitch",
+    meta: STORE_PITCHES,
+    owners: [
+      { store: STORE_PITCHERS, idKey: "pitcherId", nameKey: "pitcherName", create: createPitcher },
+    ],
+    fields: [
+      "pitcherId",
+      "pitcherName",
+      "description",
+      "contactFrame",
+      "fps",
+      "captureFps",
+      "contactTime",
+      "events",
+    ],
+  },
+  [STORE_MATCHUP_CLIPS]: {
+    label: "Matchup",
+    meta: STORE_MATCHUPS,
+    owners: [
+      { store: STORE_HITTERS, idKey: "hitterId", nameKey: "hitterName", create: createHitter },
+      { store: STORE_PITCHERS, idKey: "pitcherId", nameKey: "pitcherName", create: createPitcher },
+    ],
+    fields: [
+      "hitterId",
+      "hitterName",
+      "swingId",
+      "pitcherId",
+      "pitcherName",
+      "pitchId",
+      "labelType",
+      "syncOffset",
+      "template",
+      "pipRect",
+      "description",
+    ],
+  },
+};
+
+const PROBE_TIMEOUT_MS = 8000;
+
+// Resolves false if the browser can't read the clip's metadata.
+function probeBlob(blob) {
+  return new Promise((resolve) => {
+    const video = document.createElement("video");
+    const url = URL.createObjectURL(blob);
+    const finish = (ok) => {
+      clearTimeout(timer);
+      video.removeAttribute("src");
+      URL.revokeObjectURL(url);
+      resolve(ok);
+    };
+    const timer = setTimeout(() => finish(false), PROBE_TIMEOUT_MS);
+    video.preload = "metadata";
+    video.muted = true;
+    video.onloadedmetadata = () => finish(video.duration > 0 || video.videoWidth > 0);
+    video.onerror = () => finish(false);
+    video.src = url;
+  });
+}
+
+// The fields saved alongside a clip; older clips only carry the owner's name in the key.
+function clipFields(kind, row) {
+  const nameKey = kind.owners[0].nameKey;
+  if (!kind.keyPrefix || row.fields?.[nameKey]) return row.fields;
+  return { ...row.fields, [nameKey]: ownerNameFromKey(row.key, kind.keyPrefix) };
+}
+
+function describeRecord(kind, rec) {
+  if (!rec) return "";
+  const who =
+    kind.meta === STORE_MATCHUPS
+      ? `${rec.hitterName || "?"} vs ${rec.pitcherName || "?"}`
+      : rec[kind.owners[0].nameKey] || "unknown player";
+  return rec.description ? `${who} — ${rec.description}` : who;
+}
+
+/**
+ * Compare every clip store with its metadata store and the roster.
+ * @param {{decode?:boolean, onProgress?:(done:number,total:number)=>void}} [options]
+ *   decode: also load each clip into a <video> to catch corrupt bytes (slow).
+ * @returns {Promise<Array<{id:string, type:string, clipStore:string, label:string,
+ *   summary:string, clipKey?:string, record?:object, owner?:string}>>}
+ */
+export async function scanIntegrity({ decode = false, onProgress } = {}) {
+  const [clips, meta] = await Promise.all([
+    scanClipSizes(),
+    readStores([STORE_HITTERS, STORE_PITCHERS, STORE_SWINGS, STORE_PITCHES, STORE_MATCHUPS]),
+  ]);
+  const issues = [];
+
+  for (const clipStore of CLIP_STORES) {
+    const kind = CLIP_KINDS[clipStore];
+    const rows = clips.filter((c) => c.store === clipStore);
+    const records = meta[kind.meta];
+    const clipKeys = new Set(rows.map((c) => c.key));
+    const linkedKeys = new Set(records.map((r) => r.videoKey));
+
+    for (const row of rows) {
+      const fields = clipFields(kind, row);
+      if (!linkedKeys.has(row.key)) {
+        issues.push({
+          id: `${ISSUE_ORPHAN_CLIP}:${clipStore}:${row.key}`,
+          type: ISSUE_ORPHAN_CLIP,
+          clipStore,
+          label: kind.label,
+          clipKey: row.key,
+          size: row.size,
+          summary: describeRecord(kind, fields) || row.key,
+          fields,
+        });
+      }
+      if (!row.size) {
+        issues.push({
+          id: `${ISSUE_UNREADABLE}:${clipStore}:${row.key}`,
+          type: ISSUE_UNREADABLE,
+          clipStore,
+          label: kind.label,
+          clipKey: row.key,
+          summary: `${describeRecord(kind, fields) || row.key} (empty)`,
+        });
+      }
+    }
+
+    for (const rec of records) {
+      if (!clipKeys.has(rec.videoKey)) {
+        issues.push({
+          id: `${ISSUE_MISSING_CLIP}:${clipStore}:${rec.id}`,
+          type: ISSUE_MISSING_CLIP,
+          clipStore,
+          label: kind.label,
+          record: rec,
+          summary: describeRecord(kind, rec),
+        });
+      }
+      for (const owner of kind.owners) {
+        if (!meta[owner.store].some((p) => p.id === rec[owner.idKey])) {
+          issues.push({
+            id: `${ISSUE_MISSING_OWNER}:${clipStore}:${rec.id}:${owner.idKey}`,
+            type: ISSUE_MISSING_OWNER,
+            clipStore,
+            label: kind.label,
+            record: rec,
+            owner: owner.idKey,
+            summary: `${describeRecord(kind, rec)} (no ${owner.store.slice(0, -1)} "${
+              rec[owner.nameKey] || "?"
+            }")`,
+          });
+        }
+      }
+    }
+  }
+
+  if (decode) {
+    const toProbe = clips.filter((c) => c.size > 0);
+    for (let i = 0; i < toProbe.length; i++) {
+      if (onProgress) onProgress(i, toProbe.length);
+      const row = toProbe[i];
+      const blob = await getClipBlob(row.store, row.key).catch(() => null);
+      if (!blob || !(await probeBlob(blob))) {
+        const kind = CLIP_KINDS[row.store];
+        issues.push({
+          id: `${ISSUE_UNREADABLE}:${row.store}:${row.key}`,
+          type: ISSUE_UNREADABLE,
+          clipStore: row.store,
+          label: kind.label,
+          clipKey: row.key,
+          summary: `${describeRecord(kind, clipFields(kind, row)) || row.key} (won't decode)`,
+        });
+      }
+    }
+    if (onProgress) onProgress(toProbe.length, toProbe.length);
+  }
+
+  return issues;
+}
+
+// Orphaned clips of the same store that a dangling record could point at, and vice versa.
+export function relinkCandidates(issues, issue) {
+  const wanted = issue.type === ISSUE_MISSING_CLIP ? ISSUE_ORPHAN_CLIP : ISSUE_MISSING_CLIP;
+  return issues.filter((i) => i.type === wanted && i.clipStore === issue.clipStore);
+}
+
+/* ---------- FIXES ---------- */
+
+// Finds the roster player with this id or name, or creates one. Returns { player, created }.
+async function resolveOwner(owner, id, name) {
+  const { [owner.store]: players } = await readStores([owner.store]);
+  const found =
+    players.find((p) => p.id === id) || (name && players.find((p) => p.name === name));
+  if (found) return { player: found, created: false };
+  if (!name) throw new Error("The record doesn't say which player it belongs to.");
+  return { player: { ...owner.create(name), order: Date.now() }, created: true };
+}
+
+// Attach each owner side to an existing player (by id, then name), creating it if needed.
+async function withOwners(kind, rec) {
+  const patched = { ...rec };
+  const newPlayers = {};
+  for (const owner of kind.owners) {
+    const { player, created } = await resolveOwner(owner, rec[owner.idKey], rec[owner.nameKey]);
+    patched[owner.idKey] = player.id;
+    patched[owner.nameKey] = player.name;
+    if (created) newPlayers[owner.store] = [...(newPlayers[owner.store] || []), player];
+  }
+  return { patched, newPlayers };
+}
+
+/** Recreate the metadata record for orphaned bytes from the fields saved with the clip. */
+export async function restoreRecord(issue) {
+  const kind = CLIP_KINDS[issue.clipStore];
+  const createdAt = issue.fields?.createdAt || Date.now();
+  const rec = { id: newId(), videoKey: issue.clipKey, createdAt };
+  for (const f of kind.fields) if (issue.fields?.[f] !== undefined) rec[f] = issue.fields[f];
+  const { patched, newPlayers } = await withOwners(kind, rec);
+  await writeStores({ ...newPlayers, [kind.meta]: [{ ...patched, order: createdAt }] });
+}
+
+/** Point a record with missing bytes at an orphaned clip of the same store. */
+export async function relinkRecord(recordIssue, clipIssue) {
+  const kind = CLIP_KINDS[recordIssue.clipStore];
+  await writeStores({ [kind.meta]: [{ ...recordIssue.record, videoKey: clipIssue.clipKey }] });
+}
+
+/** Reassign a record whose player is gone to a same-name player (created if needed). */
+export async function repairOwner(issue) {
+  const kind = CLIP_KINDS[issue.clipStore];
+  const { patched, newPlayers } = await withOwners(kind, issue.record);
+  await writeStores({ ...newPlayers, [kind.meta]: [patched] });
+}
+
+/** Delete whatever the issue refers to: the clip bytes, the record, or both. */
+export async function deleteIssueItem(issue) {
+  const kind = CLIP_KINDS[issue.clipStore];
+  const data = {};
+  if (issue.clipKey) data[issue.clipStore] = [issue.clipKey];
+  if (issue.record) data[kind.meta] = [issue.record.id];
+  if (issue.type === ISSUE_UNREADABLE) {
+    // Drop the record that points at the broken clip too.
+    const { [kind.meta]: records } = await readStores([kind.meta]);
+    data[kind.meta] = records.filter((r) => r.videoKey === issue.clipKey).map((r) => r.id);
+  }
+  await deleteStoreRecords(data);
+}
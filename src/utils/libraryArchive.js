@@ -0,0 +1,446 @@
+// src/utils/libraryArchive.js
+/* =====================================================================================
+   Library backup / restore
+   -------------------------------------------------------------------------------------
+   One .zip per export:
+     manifest.json              — every record from every store, minus the video bytes
+     media/<store>/<n>.<ext>    — clip and original-upload bytes, referenced from the
+                                  record's `file` field
+   Import either replaces the whole DB or merges into it. Players with the same name
+   but a different id are treated as the same person and references are re-pointed.
+
+   Player packages (kind "hitter" / "pitcher") use the same layout with just one
+   player, their swings or pitches, and their team. They always import as new records.
+   ===================================================================================== */
+import { createZip, readZip } from "./zipArchive";
+import {
+  DB_VERSION,
+  ALL_STORES,
+  CLIP_STORES,
+  STORE_PITCH_CLIPS,
+  STORE_SWING_CLIPS,
+  STORE_MATCHUP_CLIPS,
+  STORE_HITTERS,
+  STORE_PITCHERS,
+  STORE_TEAMS,
+  STORE_SWINGS,
+  STORE_PITCHES,
+  STORE_MATCHUPS,
+  STORE_SOURCE_VIDEOS,
+  readStores,
+  readStoreKeys,
+  writeStores,
+  newId,
+  releaseIntoEvents,
+} from "./dataModel";
+
+export const LIBRARY_FORMAT = "swingsync-library";
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+// Archives were first written at schema 4 (stable IDs); nothing older can be imported.
+const OLDEST_ARCHIVE_SCHEMA = 4;
+
+// Record-level counterparts of the schema MIGRATIONS, keyed by the version they upgrade
+// to. Archives from an older schema are brought up to DB_VERSION through these on open;
+// a new migration needs a step here too.
+const ARCHIVE_UPGRADES = {
+  // Source video store; older records simply have no original upload.
+  5: (stores) => ({ ...stores, [STORE_SOURCE_VIDEOS]: stores[STORE_SOURCE_VIDEOS] || [] }),
+  6: (stores) => {
+    const fold = (rows) => rows?.map((rec) => releaseIntoEvents(rec) || rec);
+    return {
+      ...stores,
+      [STORE_PITCHES]: fold(stores[STORE_PITCHES]),
+      [STORE_PITCH_CLIPS]: fold(stores[STORE_PITCH_CLIPS]),
+    };
+  },
+};
+
+function upgradeStores(stores, fromVersion) {
+  let out = stores;
+  for (let v = fromVersion + 1; v <= DB_VERSION; v++) {
+    const step = ARCHIVE_UPGRADES[v];
+    if (!step) throw new Error(`Can't import archives from schema ${fromVersion} yet.`);
+    out = step(out);
+  }
+  return out;
+}
+
+// Stores whose records carry video. Matchup clips keep a Blob, the rest an ArrayBuffer.
+const BYTES_FIELD = {
+  [STORE_PITCH_CLIPS]: "bytes",
+  [STORE_SWING_CLIPS]: "bytes",
+  [STORE_MATCHUP_CLIPS]: "blob",
+  [STORE_SOURCE_VIDEOS]: "bytes",
+};
+
+// Clip bytes as a Blob, which the browser can keep out of the JS heap while exporting.
+function mediaAsBlob(rec, storeName) {
+  const field = BYTES_FIELD[storeName];
+  const data = field && rec[field];
+  if (!data || data instanceof Blob) return rec;
+  return { ...rec, [field]: new Blob([data], { type: rec.type }) };
+}
+
+function extFor(type = "") {
+  if (type.includes("mp4")) return "mp4";
+  if (type.includes("webm")) return "webm";
+  return "bin";
+}
+
+// The key each store uses, so collisions can be found without loading bytes.
+export function recordKey(storeName, rec) {
+  if (CLIP_STORES.includes(storeName)) return rec.key;
+  if (storeName === STORE_TEAMS) return rec.name;
+  if (storeName === STORE_SOURCE_VIDEOS) return rec.hash;
+  return rec.id;
+}
+
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function archiveFileName(prefix = "SwingSync_Library") {
+  const safe = prefix.replace(/[^\w-]+/g, "_");
+  return `${safe}_${new Date().toISOString().slice(0, 10)}.zip`;
+}
+
+/* ---------- WRITE ---------- */
+function packStores(stores) {
+  const manifestStores = {};
+  const media = [];
+  for (const [name, records] of Object.entries(stores)) {
+    const field = BYTES_FIELD[name];
+    if (!field) {
+      manifestStores[name] = records;
+      continue;
+    }
+    manifestStores[name] = records.map((rec, i) => {
+      const { [field]: data, ...rest } = rec;
+      if (!data) return { ...rest, file: null };
+      const file = `media/${name}/${String(i + 1).padStart(4, "0")}.${extFor(rec.type)}`;
+      media.push({ name: file, data });
+      return { ...rest, file };
+    });
+  }
+  return { manifestStores, media };
+}
+
+// `extra` lands at the top level of the manifest (e.g. { kind: "library" }).
+export async function buildArchive(stores, extra = {}) {
+  const { manifestStores, media } = packStores(stores);
+  const manifest = {
+    format: LIBRARY_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...extra,
+    stores: manifestStores,
+  };
+  return createZip([
+    { name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) },
+    ...media,
+  ]);
+}
+
+export async function exportLibrary() {
+  return buildArchive(await readStores(ALL_STORES, { map: mediaAsBlob }), { kind: "library" });
+}
+
+/* ---------- READ ---------- */
+export async function openArchive(file) {
+  let entries;
+  try {
+    entries = await readZip(file);
+  } catch (err) {
+    throw new Error(`Not a SwingSync library: ${err.message}`);
+  }
+  const manifestBlob = entries.get(MANIFEST_NAME);
+  if (!manifestBlob) throw new Error("Not a SwingSync library: manifest.json missing.");
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestBlob.text());
+  } catch {
+    throw new Error("Not a SwingSync library: manifest.json is unreadable.");
+  }
+  if (manifest?.format !== LIBRARY_FORMAT || !manifest.stores) {
+    throw new Error("Not a SwingSync library.");
+  }
+  if (manifest.version > ARCHIVE_VERSION || manifest.schemaVersion > DB_VERSION) {
+    throw new Error("This file was exported by a newer SwingSync. Update the app first.");
+  }
+  if (!(manifest.schemaVersion >= OLDEST_ARCHIVE_SCHEMA)) {
+    throw new Error("This file was exported by an older SwingSync and can't be imported.");
+  }
+  return {
+    manifest: { ...manifest, stores: upgradeStores(manifest.stores, manifest.schemaVersion) },
+    entries,
+  };
+}
+
+// Turns manifest clip rows back into store records, reading only the bytes needed.
+async function unpackClips(name, rows, entries) {
+  const field = BYTES_FIELD[name];
+  return Promise.all(
+    rows.map(async ({ file, ...rec }) => {
+      const media = file ? entries.get(file) : null;
+      // Missing media → metadata only; the integrity checker will flag it.
+      if (!media) return rec;
+      if (field === "blob") return { ...rec, blob: new Blob([media], { type: rec.type }) };
+      return { ...rec, bytes: await media.arrayBuffer() };
+    })
+  );
+}
+
+export function archiveCounts(manifest) {
+  const count = (name) => manifest.stores[name]?.length || 0;
+  return {
+    hitters: count(STORE_HITTERS),
+    pitchers: count(STORE_PITCHERS),
+    teams: count(STORE_TEAMS),
+    swings: count(STORE_SWINGS),
+    pitches: count(STORE_PITCHES),
+    matchups: count(STORE_MATCHUPS),
+  };
+}
+
+/* ---------- COLLISIONS ---------- */
+async function loadExisting() {
+  const [keys, players] = await Promise.all([
+    readStoreKeys(ALL_STORES),
+    readStores([STORE_HITTERS, STORE_PITCHERS]),
+  ]);
+  return { keys, players };
+}
+
+// Incoming players whose name is already taken by a different id.
+function sameNamePlayers(manifest, players, storeName) {
+  const byName = new Map(players[storeName].map((p) => [p.name, p]));
+  return (manifest.stores[storeName] || []).filter((p) => {
+    const mine = byName.get(p.name);
+    return mine && mine.id !== p.id;
+  });
+}
+
+export async function findCollisions(manifest) {
+  const { keys, players } = await loadExisting();
+  const byStore = {};
+  let total = 0;
+  for (const name of ALL_STORES) {
+    const have = new Set(keys[name] || []);
+    byStore[name] = (manifest.stores[name] || [])
+      .map((rec) => recordKey(name, rec))
+      .filter((k) => have.has(k));
+    total += byStore[name].length;
+  }
+  return {
+    byStore,
+    total,
+    hittersByName: sameNamePlayers(manifest, players, STORE_HITTERS).map((h) => h.name),
+    pitchersByName: sameNamePlayers(manifest, players, STORE_PITCHERS).map((p) => p.name),
+  };
+}
+
+/* ---------- IMPORT ---------- */
+function remapRefs(rec, idMap) {
+  const out = { ...rec };
+  for (const field of ["hitterId", "pitcherId"]) {
+    if (out[field] && idMap.has(out[field])) out[field] = idMap.get(out[field]);
+  }
+  return out;
+}
+
+/**
+ * Write an opened archive into the DB.
+ * @param {{manifest:object, entries:Map<string,Blob>}} archive — from openArchive
+ * @param {{mode?:"merge"|"replace", onCollision?:"skip"|"overwrite"}} options
+ * @returns {Promise<{added:number, replaced:number, skipped:number}>}
+ */
+export async function importArchive(
+  { manifest, entries },
+  { mode = "merge", onCollision = "skip" } = {}
+) {
+  const incoming = manifest.stores;
+  if (PACKAGES[manifest.kind]) {
+    throw new Error("This is a player package — import it with importPlayerPackage.");
+  }
+
+  if (mode === "replace") {
+    const data = {};
+    let added = 0;
+    for (const name of ALL_STORES) {
+      const rows = incoming[name] || [];
+      data[name] = BYTES_FIELD[name] ? await unpackClips(name, rows, entries) : rows;
+      added += rows.length;
+    }
+    await writeStores(data, { clear: true });
+    return { added, replaced: 0, skipped: 0 };
+  }
+
+  const { keys, players } = await loadExisting();
+
+  // Same-name players fold into the local one; their records follow.
+  const idMap = new Map();
+  for (const storeName of [STORE_HITTERS, STORE_PITCHERS]) {
+    const byName = new Map(players[storeName].map((p) => [p.name, p.id]));
+    for (const p of sameNamePlayers(manifest, players, storeName)) {
+      idMap.set(p.id, byName.get(p.name));
+    }
+  }
+
+  const data = {};
+  let added = 0;
+  let replaced = 0;
+  let skipped = 0;
+  for (const name of ALL_STORES) {
+    const have = new Set(keys[name] || []);
+    let order = have.size;
+    const isPlayerStore = name === STORE_HITTERS || name === STORE_PITCHERS;
+    const rows = [];
+    for (const raw of incoming[name] || []) {
+      if (isPlayerStore && idMap.has(raw.id)) {
+        skipped++;
+        continue;
+      }
+      const rec = remapRefs(raw, idMap);
+      const collides = have.has(recordKey(name, rec));
+      if (collides && onCollision === "skip") {
+        skipped++;
+        continue;
+      }
+      if (collides) replaced++;
+      else added++;
+      // New roster rows go to the end of the local lists.
+      rows.push(!collides && !BYTES_FIELD[name] ? { ...rec, order: order++ } : rec);
+    }
+    data[name] = BYTES_FIELD[name] ? await unpackClips(name, rows, entries) : rows;
+  }
+
+  await writeStores(data);
+  return { added, replaced, skipped };
+}
+
+/* =====================================================================================
+   PLAYER PACKAGES
+   ===================================================================================== */
+const PACKAGES = {
+  hitter: {
+    playerStore: STORE_HITTERS,
+    metaStore: STORE_SWINGS,
+    clipStore: STORE_SWING_CLIPS,
+    ownerField: "hitterId",
+    nameField: "hitterName",
+    keyPrefix: "swing",
+  },
+  pitcher: {
+    playerStore: STORE_PITCHERS,
+    metaStore: STORE_PITCHES,
+    clipStore: STORE_PITCH_CLIPS,
+    ownerField: "pitcherId",
+    nameField: "pitcherName",
+    keyPrefix: "pitch",
+  },
+};
+
+export function isPlayerPackage(manifest) {
+  return !!PACKAGES[manifest?.kind];
+}
+
+export async function exportPlayerPackage(kind, playerId) {
+  const pkg = PACKAGES[kind];
+  if (!pkg) throw new Error(`Unknown package kind: ${kind}`);
+
+  const all = await readStores([pkg.playerStore, pkg.metaStore, STORE_TEAMS]);
+  const player = all[pkg.playerStore].find((p) => p.id === playerId);
+  if (!player) throw new Error(`No ${kind} with id ${playerId}`);
+
+  const metas = all[pkg.metaStore].filter((m) => m[pkg.ownerField] === playerId);
+  const keys = new Set(metas.map((m) => m.videoKey));
+  const hashes = new Set(metas.map((m) => m.sourceHash).filter(Boolean));
+  const media = await readStores([pkg.clipStore, STORE_SOURCE_VIDEOS], { map: mediaAsBlob });
+  const clips = media[pkg.clipStore].filter((c) => keys.has(c.key));
+  const sources = media[STORE_SOURCE_VIDEOS].filter((v) => hashes.has(v.hash));
+
+  return buildArchive(
+    {
+      [pkg.playerStore]: [player],
+      [STORE_TEAMS]: all[STORE_TEAMS].filter((t) => t.name === player.teamName),
+      [pkg.metaStore]: metas,
+      [pkg.clipStore]: clips,
+      [STORE_SOURCE_VIDEOS]: sources,
+    },
+    { kind, playerName: player.name }
+  );
+}
+
+// "Bob" → "Bob (2)", "Bob (3)"… until it's free.
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Add a player package to the roster as a brand-new player.
+ * Everything gets a fresh id + clip key, so importing twice never overwrites.
+ * @returns {Promise<{name:string, renamed:boolean, clips:number}>}
+ */
+export async function importPlayerPackage({ manifest, entries }) {
+  const pkg = PACKAGES[manifest.kind];
+  if (!pkg) throw new Error("This file is a full library, not a player package.");
+
+  const source = manifest.stores[pkg.playerStore]?.[0];
+  if (!source) throw new Error("Player package is empty.");
+
+  const [existing, existingKeys] = await Promise.all([
+    readStores([pkg.playerStore, STORE_TEAMS]),
+    readStoreKeys([pkg.metaStore]),
+  ]);
+  const name = uniqueName(source.name, new Set(existing[pkg.playerStore].map((p) => p.name)));
+  // New rows go to the end of the local lists.
+  const player = { ...source, id: newId(), name, order: existing[pkg.playerStore].length };
+  const metaOrder = existingKeys[pkg.metaStore].length;
+
+  const metas = [];
+  const clipRows = [];
+  const clipsByKey = new Map((manifest.stores[pkg.clipStore] || []).map((c) => [c.key, c]));
+  (manifest.stores[pkg.metaStore] || []).forEach((meta, i) => {
+    const videoKey = `${pkg.keyPrefix}_${name}_${Date.now()}_${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    metas.push({
+      ...meta,
+      id: newId(),
+      videoKey,
+      [pkg.ownerField]: player.id,
+      [pkg.nameField]: name,
+      order: metaOrder + i,
+    });
+    const clip = clipsByKey.get(meta.videoKey);
+    if (clip) clipRows.push({ ...clip, key: videoKey, [pkg.nameField]: name });
+  });
+
+  const haveTeams = new Set(existing[STORE_TEAMS].map((t) => t.name));
+  const teams = (manifest.stores[STORE_TEAMS] || []).filter((t) => !haveTeams.has(t.name));
+
+  await writeStores({
+    [pkg.playerStore]: [player],
+    [STORE_TEAMS]: teams,
+    [pkg.metaStore]: metas,
+    [pkg.clipStore]: await unpackClips(pkg.clipStore, clipRows, entries),
+    // Same hash means same bytes, so an existing original is simply overwritten.
+    [STORE_SOURCE_VIDEOS]: await unpackClips(
+      STORE_SOURCE_VIDEOS,
+      manifest.stores[STORE_SOURCE_VIDEOS] || [],
+      entries
+    ),
+  });
+  return { name, renamed: name !== source.name, clips: clipRows.length };
+}
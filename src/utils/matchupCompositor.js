@@ -0,0 +1,221 @@
+// src/utils/matchupCompositor.js
+/* =====================================================================================
+   Matchup compositor (side by side, stacked, picture-in-picture or ghost overlay; see
+   matchupLayouts.js). Every output frame is drawn at a fixed timestamp and
+   encoded with WebCodecs, so the result never drops or stretches frames on a slow
+   machine and renders as fast as it can decode/encode. Uses only APIs that exist in a
+   worker (matchupRender.worker.js runs it there; matchupRender.js is the entry point).
+   Timeline: title card → frozen first frames → real-time play → hold → (slowed replay →
+   hold) per replay. Lengths, speeds, overlay and size come from a render template.
+   ===================================================================================== */
+import { createMp4Writer, decodeClipImages } from "./clipExtractor";
+import { DEFAULT_RENDER_TEMPLATE } from "./renderTemplates";
+import { layoutGeometry } from "./matchupLayouts";
+
+const MAX_RENDER_FPS = 60;
+// Progress is reported every this many output frames.
+const PROGRESS_EVERY = 15;
+
+// Latest decoded frame at or before `t` (clamped to the first/last frame).
+function frameAt(frames, t) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (frames[mid].time <= t + 1e-6) lo = mid;
+    else hi = mid - 1;
+  }
+  return frames[lo].image;
+}
+
+// Frames may be thinned, so the last one lasts one frame at the clip's capture rate.
+function clipDuration(frames, fps) {
+  return frames[frames.length - 1].time + 1 / fps;
+}
+
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  return Object.assign(document.createElement("canvas"), { width, height });
+}
+
+/**
+ * Render a matchup to MP4 arranged by `info.layout` (+ `info.pipRect`) and timed by
+ * `info.template` (see renderTemplates.js).
+ * `dims` are the clips' pixel sizes ({ pitch, swing }, from videoDimensions — a worker
+ * can't read them without decoding). `getAudio(timeline)` receives where the clips play
+ * on the output ({ totalSec, pitchStart, swingStart }, s) and resolves to mixed PCM or
+ * null; it runs while frames are encoded. `onProgress({ stage, done, total })` reports
+ * "decoding" and then "encoding" by output frame.
+ * @returns {Promise<Blob>}
+ */
+export async function composeMatchup(
+  pitchBlob,
+  swingBlob,
+  info,
+  { dims, getAudio = async () => null, onProgress = () => {}, signal } = {}
+) {
+  const template = info.template || DEFAULT_RENDER_TEMPLATE;
+  const checkCancelled = () => {
+    if (signal?.aborted) throw new Error("Render cancelled.");
+  };
+  // Output at the faster clip's capture rate, capped so high-speed footage doesn't decode
+  // into hundreds of bitmaps; alignment uses real timestamps either way.
+  const fps = Math.min(MAX_RENDER_FPS, Math.max(info.pitchCaptureFps, info.swingCaptureFps));
+  // Media seconds → real seconds (slow-motion files play back slower than they happened).
+  const pitchScale = info.pitchFps / info.pitchCaptureFps;
+  const swingScale = info.swingFps / info.swingCaptureFps;
+
+  const geometry = layoutGeometry(info.layout, dims, {
+    maxWidth: template.width,
+    pipRect: info.pipRect || undefined,
+  });
+  const { width, height, pitch: pitchRect, swing: swingRect } = geometry;
+
+  onProgress({ stage: "decoding", done: 0, total: 0 });
+  const [pitchFrames, swingFrames] = await Promise.all([
+    decodeClipImages(pitchBlob, {
+      width: pitchRect.w,
+      height: pitchRect.h,
+      fps: info.pitchFps,
+      maxFps: fps * pitchScale,
+    }),
+    decodeClipImages(swingBlob, {
+      width: swingRect.w,
+      height: swingRect.h,
+      fps: info.swingFps,
+      maxFps: fps * swingScale,
+    }),
+  ]);
+  let writer = null;
+  try {
+    if (!pitchFrames.length || !swingFrames.length) throw new Error("Clip has no frames.");
+    checkCancelled();
+    pitchFrames.forEach((f) => (f.time *= pitchScale));
+    swingFrames.forEach((f) => (f.time *= swingScale));
+
+    const canvas = makeCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+
+    const pitchDur = clipDuration(pitchFrames, info.pitchCaptureFps);
+    const swingDur = clipDuration(swingFrames, info.swingCaptureFps);
+
+    const titleSec = template.titleCard ? template.titleSec : 0;
+    // The swing starts `diff` after the pitch so the tagged contacts share an output
+    // frame; when it has to start first, the timeline begins at the swing (`origin` < 0).
+    const diff = info.contactDiff ?? Math.max(pitchDur - swingDur, 0);
+    const origin = Math.min(0, diff);
+    const playSec = Math.max(pitchDur, diff + swingDur) - origin;
+
+    const playStart = titleSec + template.freezeStartSec;
+    let cursor = playStart + playSec + template.freezeEndSec;
+    const replays = template.replaySpeeds.map((speed) => {
+      const start = cursor;
+      cursor += playSec / speed + template.replayHoldSec;
+      return { start, speed };
+    });
+    const totalSec = cursor;
+    const frameCount = Math.max(1, Math.ceil(totalSec * fps));
+
+    // Clip audio plays during the real-time segment only; slowed replays are silent.
+    const audio = getAudio({
+      totalSec: frameCount / fps,
+      pitchStart: playStart - origin,
+      swingStart: playStart + diff - origin,
+    });
+    // Surface mixing failures at finish(), not as an unhandled rejection mid-encode.
+    audio.catch(() => {});
+
+    const trueSwingDuration = (info.swingDuration ?? 0).toFixed(3);
+
+    const titleText = {
+      hitter: [`Hitter: ${info.hitterName}`],
+      swing: [info.swingDesc ? `Swing: ${info.swingDesc}` : ""],
+      pitcher: [`Pitcher: ${info.pitcherName}`],
+      pitch: [info.pitchDesc ? `Pitch: ${info.pitchDesc}` : ""],
+      swingDuration: [`Swing Duration: ${trueSwingDuration}s`],
+      swingPhases: (info.swingPhases || []).map((d) => `${d.label}: ${d.seconds.toFixed(3)}s`),
+    };
+    const titleLines = template.titleFields.flatMap((id) => titleText[id]).filter(Boolean);
+
+    const drawTitle = () => {
+      ctx.fillStyle = "black";
+      ctx.fillRect(0, 0, width, height);
+      const fontSize = Math.max(14, Math.floor(height / 28));
+      ctx.font = `bold ${fontSize}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = "black";
+      ctx.fillStyle = "white";
+      const lineHeight = fontSize * 1.5;
+      const totalTextHeight = lineHeight * titleLines.length;
+      const startY = height / 2 - totalTextHeight / 2;
+      titleLines.forEach((line, i) => {
+        const y = startY + i * lineHeight;
+        ctx.strokeText(line, width / 2, y);
+        ctx.fillText(line, width / 2, y);
+      });
+    };
+
+    // `u` is time since the first frame of either clip.
+    const drawPair = (u) => {
+      const p = u + origin;
+      const s = p - diff;
+      const { x: px, y: py, w: pw, h: ph } = pitchRect;
+      const { x: sx, y: sy, w: sw, h: sh } = swingRect;
+      ctx.fillStyle = "black";
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(frameAt(pitchFrames, Math.max(p, 0)), px, py, pw, ph);
+      if (template.overlay && s >= 0 && s < swingDur) {
+        ctx.globalAlpha = template.overlayOpacity;
+        ctx.fillStyle = template.overlayColor;
+        ctx.fillRect(px, py, pw, ph);
+      }
+      ctx.globalAlpha = geometry.swingAlpha;
+      ctx.drawImage(frameAt(swingFrames, Math.max(s, 0)), sx, sy, sw, sh);
+      ctx.globalAlpha = 1;
+      if (geometry.inset) {
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = "white";
+        ctx.strokeRect(sx + 1, sy + 1, sw - 2, sh - 2);
+      }
+    };
+
+    const drawReplayLabel = (speed) => {
+      const label = `REPLAY – ${Math.round(speed * 100)}% SPEED`;
+      const overlayFont = Math.max(14, Math.floor(height / 25));
+      ctx.font = `bold ${overlayFont}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = "black";
+      ctx.fillStyle = "white";
+      ctx.strokeText(label, width / 2, 20);
+      ctx.fillText(label, width / 2, 20);
+    };
+
+    writer = await createMp4Writer({ width, height, fps, bitrate: template.bitrate });
+    for (let n = 0; n < frameCount; n++) {
+      checkCancelled();
+      const t = n / fps;
+      const replay = replays.findLast((r) => t >= r.start);
+      if (t < titleSec) drawTitle();
+      else if (t < playStart) drawPair(0);
+      else if (!replay) drawPair(Math.min(t - playStart, playSec));
+      else {
+        drawPair(Math.min((t - replay.start) * replay.speed, playSec));
+        drawReplayLabel(replay.speed);
+      }
+      await writer.addFrame(canvas, Math.round((n * 1e6) / fps));
+      if (n % PROGRESS_EVERY === 0) onProgress({ stage: "encoding", done: n, total: frameCount });
+    }
+    onProgress({ stage: "encoding", done: frameCount, total: frameCount });
+    return await writer.finish(undefined, await audio);
+  } catch (err) {
+    writer?.close();
+    throw err;
+  } finally {
+    pitchFrames.forEach((f) => f.image.close());
+    swingFrames.forEach((f) => f.image.close());
+  }
+}
@@ -0,0 +1,100 @@
+// src/utils/matchupLayouts.js
+// Where the pitch and swing go in a rendered matchup. The layout id is what matchup
+// records keep in `labelType` (and at the end of their videoKey).
+
+export const MATCHUP_LAYOUTS = [
+  { id: "sidebyside", label: "Side-by-Side" },
+  { id: "stacked", label: "Stacked" }, // pitch over swing, for portrait phone video
+  { id: "pip", label: "Picture-in-Picture" },
+  { id: "overlay", label: "Ghost Overlay" },
+];
+
+// Older matchups without a known layout were pitcher-only renders.
+export function layoutLabel(labelType) {
+  return MATCHUP_LAYOUTS.find((l) => l.id === labelType)?.label || "Pitcher-Only";
+}
+
+// Swing inset placement, as fractions of the output frame; its height follows the clip.
+export const DEFAULT_PIP_RECT = { x: 0.62, y: 0.04, width: 0.34 };
+// Swing opacity over the pitch in the ghost overlay.
+export const GHOST_OPACITY = 0.5;
+// Stacked portrait clips get tall quickly; keep within what H.264 encoders accept.
+const MAX_OUTPUT_HEIGHT = 1920;
+
+// Even sizes so the H.264 encoder doesn't have to rescale.
+const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+
+/**
+ * Output size and where each clip is drawn, from the clips' pixel sizes.
+ * @param {string} layout — a MATCHUP_LAYOUTS id
+ * @param {{pitch:{width:number,height:number}, swing:{width:number,height:number}}} dims
+ * @param {{maxWidth:number, pipRect?:{x:number,y:number,width:number}}} options
+ * @returns {{width:number, height:number, pitch:Rect, swing:Rect, swingAlpha:number,
+ *   inset:boolean}} Rect = { x, y, w, h }
+ */
+export function layoutGeometry(layout, dims, { maxWidth, pipRect = DEFAULT_PIP_RECT }) {
+  const { pitch, swing } = dims;
+
+  if (layout === "stacked") {
+    const scale = Math.min(
+      maxWidth / Math.max(pitch.width, swing.width),
+      MAX_OUTPUT_HEIGHT / (pitch.height + swing.height),
+      1
+    );
+    const width = even(Math.max(pitch.width, swing.width) * scale);
+    const pitchH = even(pitch.height * scale);
+    const swingH = even(swing.height * scale);
+    return {
+      width,
+      height: pitchH + swingH,
+      pitch: { x: 0, y: 0, w: width, h: pitchH },
+      swing: { x: 0, y: pitchH, w: width, h: swingH },
+      swingAlpha: 1,
+      inset: false,
+    };
+  }
+
+  if (layout === "pip" || layout === "overlay") {
+    const scale = Math.min(maxWidth / pitch.width, MAX_OUTPUT_HEIGHT / pitch.height, 1);
+    const width = even(pitch.width * scale);
+    const height = even(pitch.height * scale);
+    const full = { x: 0, y: 0, w: width, h: height };
+    if (layout === "overlay") {
+      // Swing fitted inside the pitch frame, centred.
+      const fit = Math.min(width / swing.width, height / swing.height);
+      const w = even(swing.width * fit);
+      const h = even(swing.height * fit);
+      return {
+        width,
+        height,
+        pitch: full,
+        swing: { x: (width - w) / 2, y: (height - h) / 2, w, h },
+        swingAlpha: GHOST_OPACITY,
+        inset: false,
+      };
+    }
+    let w = even(width * pipRect.width);
+    let h = even((w * swing.height) / swing.width);
+    if (h > height) {
+      h = height;
+      w = even((h * swing.width) / swing.height);
+    }
+    const x = Math.min(Math.max(0, Math.round(pipRect.x * width)), width - w);
+    const y = Math.min(Math.max(0, Math.round(pipRect.y * height)), height - h);
+    return { width, height, pitch: full, swing: { x, y, w, h }, swingAlpha: 1, inset: true };
+  }
+
+  // Side by side at a shared height (each clip is stretched to it).
+  const scale = Math.min(maxWidth / (pitch.width + swing.width), 1);
+  const pitchW = even(pitch.width * scale);
+  const swingW = even(swing.width * scale);
+  const height = even(Math.max(pitch.height * scale, swing.height * scale));
+  return {
+    width: pitchW + swingW,
+    height,
+    pitch: { x: 0, y: 0, w: pitchW, h: height },
+    swing: { x: pitchW, y: 0, w: swingW, h: height },
+    swingAlpha: 1,
+    inset: false,
+  };
+}
@@ -0,0 +1,126 @@
+// src/utils/matchupRender.js
+import {
+  AUDIO_SAMPLE_RATE,
+  MP4_MIME,
+  MP4_ONLY_ERROR,
+  decodeAudioTrack,
+  videoDimensions,
+} from "./clipExtractor";
+import { composeMatchup } from "./matchupCompositor";
+
+export function supportsBackgroundRender() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof VideoEncoder !== "undefined"
+  );
+}
+
+/*
+  Both clips' sound mixed onto the output timeline. Each side is
+  { blob, start (s on the output), rate (playback rate back to real time), volume }.
+  Null when no side has audio to contribute.
+*/
+async function mixMatchupAudio(sides, totalSec) {
+  if (typeof OfflineAudioContext === "undefined") return null;
+  const audible = sides.filter((s) => s.volume > 0);
+  const decoded = await Promise.all(audible.map((s) => decodeAudioTrack(s.blob)));
+  if (!decoded.some(Boolean)) return null;
+
+  const ctx = new OfflineAudioContext(
+    2,
+    Math.ceil(totalSec * AUDIO_SAMPLE_RATE),
+    AUDIO_SAMPLE_RATE
+  );
+  audible.forEach((side, i) => {
+    const pcm = decoded[i];
+    if (!pcm) return;
+    const buffer = ctx.createBuffer(pcm.channels.length, pcm.channels[0].length, pcm.sampleRate);
+    pcm.channels.forEach((ch, c) => buffer.copyToChannel(ch, c));
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = side.rate;
+    const gain = ctx.createGain();
+    gain.gain.value = side.volume;
+    source.connect(gain).connect(ctx.destination);
+    source.start(side.start);
+  });
+  const mixed = await ctx.startRendering();
+  return {
+    sampleRate: mixed.sampleRate,
+    channels: [mixed.getChannelData(0), mixed.getChannelData(1)],
+  };
+}
+
+// Older clips may be WebM (MediaRecorder); only the page can decode those. Untyped blobs
+// get the worker, which reports MP4_ONLY_ERROR if it can't read them.
+const isMp4 = (blob) => !blob.type || blob.type.startsWith(MP4_MIME);
+
+function runInWorker(pitchBlob, swingBlob, info, dims, mix, onProgress, signal) {
+  const worker = new Worker(new URL("./matchupRender.worker.js", import.meta.url), {
+    type: "module",
+  });
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") onProgress?.(msg);
+      else if (msg.type === "timeline") {
+        mix(msg).then(
+          (audio) =>
+            worker.postMessage(
+              { type: "audio", audio },
+              audio ? audio.channels.map((c) => c.buffer) : []
+            ),
+          reject
+        );
+      } else if (msg.type === "result") resolve(msg.blob);
+      else if (msg.type === "error") reject(new Error(msg.message));
+    };
+    worker.onerror = (e) => reject(new Error(e.message || "Matchup render failed."));
+    signal?.addEventListener("abort", () => reject(new Error("Render cancelled.")));
+    worker.postMessage({ type: "render", pitchBlob, swingBlob, info, dims });
+  }).finally(() => worker.terminate());
+}
+
+/**
+ * Render a matchup MP4, in a worker where the browser allows (falls back to the page,
+ * also for clips the worker can't decode). Aborting `signal` stops the render and
+ * rejects with "Render cancelled."
+ * @param {object} info — names, descriptions, fps/captureFps per clip, contactDiff
+ * @param {{pitchVolume?:number, swingVolume?:number,
+ *   onProgress?:(p:{stage:string, done:number, total:number})=>void,
+ *   signal?:AbortSignal}} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function renderMatchup(
+  pitchBlob,
+  swingBlob,
+  info,
+  { pitchVolume = 1, swingVolume = 1, onProgress, signal } = {}
+) {
+  const [pitch, swing] = await Promise.all([
+    videoDimensions(pitchBlob),
+    videoDimensions(swingBlob),
+  ]);
+  const dims = { pitch, swing };
+  const pitchRate = info.pitchCaptureFps / info.pitchFps;
+  const swingRate = info.swingCaptureFps / info.swingFps;
+  const mix = ({ totalSec, pitchStart, swingStart }) =>
+    mixMatchupAudio(
+      [
+        { blob: pitchBlob, start: pitchStart, rate: pitchRate, volume: pitchVolume },
+        { blob: swingBlob, start: swingStart, rate: swingRate, volume: swingVolume },
+      ],
+      totalSec
+    );
+
+  if (signal?.aborted) throw new Error("Render cancelled.");
+  if (supportsBackgroundRender() && isMp4(pitchBlob) && isMp4(swingBlob)) {
+    try {
+      return await runInWorker(pitchBlob, swingBlob, info, dims, mix, onProgress, signal);
+    } catch (err) {
+      if (err.message !== MP4_ONLY_ERROR) throw err;
+    }
+  }
+  return composeMatchup(pitchBlob, swingBlob, info, { dims, getAudio: mix, onProgress, signal });
+}
@@ -0,0 +1,33 @@
+// src/utils/matchupRender.worker.js
+// Matchup compositing off the main thread. Workers have no Web Audio, so the sound is
+// mixed by the page once it knows where the clips land:
+//   { type: "render", pitchBlob, swingBlob, info, dims }
+//     →  { type: "progress", stage, done, total }…  { type: "timeline", … }
+//   { type: "audio", audio }   (PCM or null, answering "timeline")
+//     →  { type: "result", blob }  or  { type: "error", message }
+import { composeMatchup } from "./matchupCompositor";
+
+let resolveAudio = null;
+
+async function render({ pitchBlob, swingBlob, info, dims }) {
+  const blob = await composeMatchup(pitchBlob, swingBlob, info, {
+    dims,
+    onProgress: (p) => self.postMessage({ type: "progress", ...p }),
+    getAudio: (timeline) =>
+      new Promise((resolve) => {
+        resolveAudio = resolve;
+        self.postMessage({ type: "timeline", ...timeline });
+      }),
+  });
+  self.postMessage({ type: "result", blob });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "audio") resolveAudio?.(msg.audio);
+  else if (msg.type === "render") {
+    render(msg).catch((err) =>
+      self.postMessage({ type: "error", message: err.message || String(err) })
+    );
+  }
+};
@@ -0,0 +1,73 @@
+// src/utils/motionAnalysis.js
+// Pure helpers behind assisted swing tagging. Kept free of DOM/worker APIs so the worker
+// (motionDetection.worker.js) and anything else can share them.
+
+// A pixel counts as moving when its luma changes by more than this (0–255).
+export const MOTION_PIXEL_THRESHOLD = 18;
+
+// Swing start is where motion first rises this far from the resting level toward the peak.
+const START_FRACTION = 0.15;
+
+/** Rec. 601 luma of RGBA pixel data. */
+export function lumaFromRgba(rgba) {
+  const out = new Uint8Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+    out[i] = (rgba[p] * 77 + rgba[p + 1] * 150 + rgba[p + 2] * 29) >> 8;
+  }
+  return out;
+}
+
+/** Share of pixels (0–1) whose luma changed noticeably between two frames. */
+export function motionEnergy(prev, next) {
+  let moving = 0;
+  for (let i = 0; i < next.length; i++) {
+    if (Math.abs(next[i] - prev[i]) > MOTION_PIXEL_THRESHOLD) moving++;
+  }
+  return moving / next.length;
+}
+
+function smooth(values, radius) {
+  return values.map((_, i) => {
+    let sum = 0;
+    let n = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(values.length - 1, i + radius); j++) {
+      sum += values[j];
+      n++;
+    }
+    return sum / n;
+  });
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] ?? 0;
+}
+
+/**
+ * Propose swing start and contact from per-frame motion energy (index = frame).
+ * Contact is the motion peak — the bat is fastest through the zone — and the start is
+ * the last quiet frame before the run-up to it. `confidence` (0–1) is how far the peak
+ * stands above the resting level; low values mean the suggestion is a guess.
+ * @param {number[]} energy
+ * @param {number} captureFps — real frames per second, to size the smoothing window
+ * @returns {{startIndex:number, contactIndex:number, confidence:number} | null}
+ */
+export function proposeSwingTags(energy, captureFps) {
+  if (energy.length < 3) return null;
+  // About 1/60 s either side, so 240 fps footage isn't dominated by sensor noise.
+  const radius = Math.max(1, Math.round(captureFps / 60));
+  const curve = smooth(energy, radius);
+
+  let contactIndex = 1;
+  for (let i = 1; i < curve.length; i++) if (curve[i] > curve[contactIndex]) contactIndex = i;
+  const peak = curve[contactIndex];
+  const rest = median(curve);
+  if (!(peak > rest)) return null;
+
+  const threshold = rest + START_FRACTION * (peak - rest);
+  let startIndex = contactIndex;
+  while (startIndex > 0 && curve[startIndex - 1] > threshold) startIndex--;
+  if (startIndex >= contactIndex) startIndex = Math.max(0, contactIndex - 1);
+
+  return { startIndex, contactIndex, confidence: (peak - rest) / peak };
+}
@@ -0,0 +1,85 @@
+// src/utils/motionDetection.js
+import { DEFAULT_FPS } from "./dataModel";
+import { decodeFrames } from "./clipExtractor";
+
+// Frames are shrunk to this width before differencing; plenty to see a bat move.
+const ANALYSIS_WIDTH = 96;
+
+export function supportsMotionDetection() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof VideoFrame !== "undefined"
+  );
+}
+
+/**
+ * Suggest swing start and contact for an uploaded video. Frames are decoded here and
+ * shrunk to small bitmaps; the differencing runs in motionDetection.worker.js.
+ * Frame numbers count every frame from the start of the file, like VideoTagger's.
+ * @param {Blob|File} blob
+ * @param {{fps?:number, captureFps?:number, onProgress?:(frames:number)=>void,
+ *   signal?:AbortSignal}} [options]
+ * @returns {Promise<{start:{frame:number,time:number}, contact:{frame:number,time:number},
+ *   confidence:number} | null>} null when no clear motion peak was found
+ */
+export async function detectSwingMotion(
+  blob,
+  { fps = DEFAULT_FPS, captureFps = fps, onProgress, signal } = {}
+) {
+  if (!supportsMotionDetection()) {
+    throw new Error("This browser can't analyze video in the background.");
+  }
+  const worker = new Worker(new URL("./motionDetection.worker.js", import.meta.url), {
+    type: "module",
+  });
+  try {
+    const result = new Promise((resolve, reject) => {
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "progress") onProgress?.(msg.frames);
+        else if (msg.type === "result") resolve(msg);
+        else if (msg.type === "error") reject(new Error(msg.message));
+      };
+      worker.onerror = (e) => reject(new Error(e.message || "Motion analysis failed."));
+      signal?.addEventListener("abort", () => reject(new Error("Motion analysis cancelled.")));
+    });
+    // Surface worker failures even while decoding is still feeding it.
+    result.catch(() => {});
+
+    worker.postMessage({ type: "start", captureFps });
+    await decodeFrames(
+      blob,
+      0,
+      Infinity,
+      async (frame, time) => {
+        try {
+          if (signal?.aborted) throw new Error("Motion analysis cancelled.");
+          const height = Math.max(
+            1,
+            Math.round((ANALYSIS_WIDTH * frame.displayHeight) / frame.displayWidth)
+          );
+          const image = await createImageBitmap(frame, {
+            resizeWidth: ANALYSIS_WIDTH,
+            resizeHeight: height,
+          });
+          worker.postMessage({ type: "frame", time, image }, [image]);
+        } finally {
+          frame.close();
+        }
+      },
+      { fps }
+    );
+    worker.postMessage({ type: "done" });
+
+    const { times, proposal } = await result;
+    if (!proposal) return null;
+    return {
+      start: { frame: proposal.startIndex, time: times[proposal.startIndex] },
+      contact: { frame: proposal.contactIndex, time: times[proposal.contactIndex] },
+      confidence: proposal.confidence,
+    };
+  } finally {
+    worker.terminate();
+  }
+}
@@ -0,0 +1,48 @@
+// src/utils/motionDetection.worker.js
+// Frame differencing off the main thread. Receives small ImageBitmaps in frame order:
+//   { type: "start", captureFps }  →  { type: "frame", time, image }…  →  { type: "done" }
+// and answers { type: "progress", frames } along the way, then { type: "result", … } or
+// { type: "error", message }.
+import { lumaFromRgba, motionEnergy, proposeSwingTags } from "./motionAnalysis";
+
+let canvas = null;
+let ctx = null;
+let prevLuma = null;
+let captureFps = 30;
+let times = [];
+let energy = [];
+
+function reset(rate) {
+  prevLuma = null;
+  captureFps = rate || 30;
+  times = [];
+  energy = [];
+}
+
+function addFrame(time, image) {
+  if (!canvas || canvas.width !== image.width || canvas.height !== image.height) {
+    canvas = new OffscreenCanvas(image.width, image.height);
+    ctx = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  ctx.drawImage(image, 0, 0);
+  image.close();
+  const luma = lumaFromRgba(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+  energy.push(prevLuma ? motionEnergy(prevLuma, luma) : 0);
+  times.push(time);
+  prevLuma = luma;
+  if (times.length % 30 === 0) self.postMessage({ type: "progress", frames: times.length });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  try {
+    if (msg.type === "start") reset(msg.captureFps);
+    else if (msg.type === "frame") addFrame(msg.time, msg.image);
+    else if (msg.type === "done") {
+      const proposal = proposeSwingTags(energy, captureFps);
+      self.postMessage({ type: "result", times, energy, proposal });
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message || String(err) });
+  }
+};
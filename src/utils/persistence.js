@@ -1,19 +1,11 @@
 // persistence.js
-// Handles saving and loading hitters/pitchers to/from localStorage
+// Legacy localStorage readers. The roster now lives in IndexedDB (see dataModel.js);
+// these are only used by the v3 migration to import what older builds saved.
 
 const STORAGE_KEY = "swingSyncData";
+export const LEGACY_STATE_KEY = "SwingSync.state";
 
-// Save hitters + pitchers into localStorage
-export function saveData(hitters, pitchers) {
-  try {
-    const data = JSON.stringify({ hitters, pitchers });
-    localStorage.setItem(STORAGE_KEY, data);
-  } catch (err) {
-    console.error("Error saving Swing Sync data:", err);
-  }
-}
-
-// Load hitters + pitchers from localStorage
+// Load hitters + pitchers from localStorage (oldest format: swings/pitches nested)
 export function loadData() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
@@ -33,7 +25,56 @@ export function loadData() {
   }
 }
 
+// Load the flat App state blob written by App.jsx before the IndexedDB move
+export function loadAppState() {
+  try {
+    const raw = localStorage.getItem(LEGACY_STATE_KEY);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Merge both legacy formats into flat slices. Left in localStorage as a backup.
+export function loadLegacyRoster() {
+  const state = loadAppState() || {};
+  const old = loadData();
+
+  const hitters = [...(state.hitters || [])];
+  const pitchers = [...(state.pitchers || [])];
+  const swings = [...(state.swings || [])];
+  const pitches = [...(state.pitches || [])];
+
+  for (const h of old.hitters) {
+    if (!h?.name) continue;
+    if (!hitters.some((x) => x.name === h.name)) {
+      const { swings: nested = [], ...rest } = h;
+      hitters.push(rest);
+      nested.forEach((s) => swings.push({ hitterName: h.name, ...s }));
+    }
+  }
+  for (const p of old.pitchers) {
+    if (!p?.name) continue;
+    if (!pitchers.some((x) => x.name === p.name)) {
+      const { pitches: nested = [], ...rest } = p;
+      pitchers.push(rest);
+      nested.forEach((pt) => pitches.push({ pitcherName: p.name, ...pt }));
+    }
+  }
+
+  return {
+    hitters,
+    pitchers,
+    teams: state.teams || [],
+    swings,
+    pitches,
+    matchups: state.matchups || [],
+  };
+}
+
 // Clear all saved data (optional utility)
 export function clearData() {
   localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(LEGACY_STATE_KEY);
 }
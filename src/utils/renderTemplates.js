@@ -0,0 +1,113 @@
+// src/utils/renderTemplates.js
+// Matchup render presets. Built-ins are fixed; user presets are stored in settings by
+// name, and each rendered matchup records the name of the preset it used.
+import { CLIP_BITRATE } from "./dataModel";
+import { loadSettings, saveSettings } from "./settings";
+
+export const TITLE_FIELDS = [
+  { id: "hitter", label: "Hitter" },
+  { id: "swing", label: "Swing description" },
+  { id: "pitcher", label: "Pitcher" },
+  { id: "pitch", label: "Pitch description" },
+  { id: "swingDuration", label: "Swing duration" },
+  { id: "swingPhases", label: "Swing phase durations" },
+];
+
+// Output width (both clips together in side-by-side); never upscaled past the sources.
+export const OUTPUT_WIDTHS = [640, 960, 1280, 1920];
+export const OUTPUT_BITRATES = [2_500_000, 5_000_000, CLIP_BITRATE, 20_000_000];
+
+export const DEFAULT_RENDER_TEMPLATE = {
+  name: "Standard",
+  titleCard: true,
+  titleSec: 5,
+  titleFields: TITLE_FIELDS.map((f) => f.id),
+  freezeStartSec: 2,
+  freezeEndSec: 2,
+  replaySpeeds: [0.25], // one slowed replay per entry, in order
+  replayHoldSec: 1.5,
+  overlay: true, // tint the pitch side while the swing is in motion
+  overlayColor: "#ffff00",
+  overlayOpacity: 0.35,
+  width: 960,
+  bitrate: CLIP_BITRATE,
+};
+
+export const BUILTIN_RENDER_TEMPLATES = [
+  DEFAULT_RENDER_TEMPLATE,
+  {
+    ...DEFAULT_RENDER_TEMPLATE,
+    name: "Quick look",
+    titleCard: false,
+    freezeStartSec: 0.5,
+    freezeEndSec: 0.5,
+    replaySpeeds: [0.5],
+    replayHoldSec: 0.5,
+    width: 640,
+    bitrate: 2_500_000,
+  },
+  {
+    ...DEFAULT_RENDER_TEMPLATE,
+    name: "Film room",
+    replaySpeeds: [0.25, 0.1],
+    width: 1280,
+    bitrate: 20_000_000,
+  },
+];
+
+const clamp = (v, lo, hi, fallback) =>
+  Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : fallback;
+
+// Fill in missing fields and keep numbers in ranges the compositor can use.
+export function normalizeTemplate(template) {
+  const t = { ...DEFAULT_RENDER_TEMPLATE, ...template };
+  const d = DEFAULT_RENDER_TEMPLATE;
+  return {
+    ...t,
+    name: String(t.name || "").trim() || d.name,
+    titleSec: clamp(Number(t.titleSec), 0, 30, d.titleSec),
+    titleFields: TITLE_FIELDS.map((f) => f.id).filter((id) => t.titleFields?.includes(id)),
+    freezeStartSec: clamp(Number(t.freezeStartSec), 0, 10, d.freezeStartSec),
+    freezeEndSec: clamp(Number(t.freezeEndSec), 0, 10, d.freezeEndSec),
+    replaySpeeds: (t.replaySpeeds || [])
+      .map(Number)
+      .filter((s) => s > 0)
+      .map((s) => Math.min(s, 1))
+      .slice(0, 4),
+    replayHoldSec: clamp(Number(t.replayHoldSec), 0, 10, d.replayHoldSec),
+    overlayOpacity: clamp(Number(t.overlayOpacity), 0, 1, d.overlayOpacity),
+    width: OUTPUT_WIDTHS.includes(Number(t.width)) ? Number(t.width) : d.width,
+    bitrate: OUTPUT_BITRATES.includes(Number(t.bitrate)) ? Number(t.bitrate) : d.bitrate,
+  };
+}
+
+export function isBuiltinTemplate(name) {
+  return BUILTIN_RENDER_TEMPLATES.some((t) => t.name === name);
+}
+
+export function loadRenderTemplates() {
+  const saved = (loadSettings().renderTemplates || []).filter((t) => !isBuiltinTemplate(t.name));
+  return [...BUILTIN_RENDER_TEMPLATES, ...saved.map(normalizeTemplate)];
+}
+
+// Preset by name; unknown names (deleted presets) fall back to the default.
+export function findRenderTemplate(name) {
+  return loadRenderTemplates().find((t) => t.name === name) || DEFAULT_RENDER_TEMPLATE;
+}
+
+// Save a user preset, replacing one with the same name. Built-in names are reserved.
+export function saveRenderTemplate(template) {
+  const next = normalizeTemplate(template);
+  if (isBuiltinTemplate(next.name)) {
+    throw new Error(`"${next.name}" is a built-in preset; save under another name.`);
+  }
+  const others = (loadSettings().renderTemplates || []).filter((t) => t.name !== next.name);
+  saveSettings({ renderTemplates: [...others, next] });
+  return loadRenderTemplates();
+}
+
+export function deleteRenderTemplate(name) {
+  const rest = (loadSettings().renderTemplates || []).filter((t) => t.name !== name);
+  saveSettings({ renderTemplates: rest });
+  return loadRenderTemplates();
+}
@@ -0,0 +1,27 @@
+// src/utils/settings.js
+// Small per-browser preferences. Library data lives in IndexedDB; these are just UI
+// switches, so localStorage keeps them synchronous to read.
+const SETTINGS_KEY = "SwingSync.settings";
+
+export const DEFAULT_SETTINGS = {
+  keepSourceVideos: true, // store the original upload next to each trimmed clip
+  taggerHotkeys: {}, // VideoTagger shortcut overrides (see utils/hotkeys.js)
+  renderTemplates: [], // user matchup render presets (see utils/renderTemplates.js)
+  renderTemplate: "Standard", // preset MatchupSimulator starts with
+};
+
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (err) {
+    console.error("Failed to load settings:", err);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(patch) {
+  const next = { ...loadSettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+}
@@ -0,0 +1,197 @@
+// src/utils/storageUsage.js
+/* =====================================================================================
+   Storage usage — browser quota, per-store / per-player byte totals, clip shrinking
+   ===================================================================================== */
+import {
+  REENCODE_BITRATE,
+  DEFAULT_FPS,
+  STORE_PITCH_CLIPS,
+  STORE_SWING_CLIPS,
+  STORE_MATCHUP_CLIPS,
+  STORE_HITTERS,
+  STORE_PITCHERS,
+  STORE_SWINGS,
+  STORE_PITCHES,
+  STORE_MATCHUPS,
+  STORE_SOURCE_VIDEOS,
+  ALL_STORES,
+  readStores,
+  scanClipSizes,
+  replaceClipBytes,
+  getClipBlob,
+  getClipMeta,
+  recordFps,
+} from "./dataModel";
+import { detectFrameRate, extractTimeRange, supportsWebCodecs } from "./clipExtractor";
+
+// Warn once usage passes this share of the quota.
+export const STORAGE_WARN_RATIO = 0.85;
+
+export function formatBytes(n = 0) {
+  if (n >= 1e9) return `${(n / 1e9).toFixed(2)} GB`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)} MB`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(0)} KB`;
+  return `${n} B`;
+}
+
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage, quota, ratio: quota ? usage / quota : 0, persisted };
+}
+
+// Asks the browser not to evict our data under pressure. Resolves to the new state.
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  return navigator.storage.persist();
+}
+
+/**
+ * Byte totals computed from the records themselves (the estimate above also counts
+ * other origins' overhead and pending deletes, so the two won't match exactly).
+ * @returns {Promise<{byStore:Object<string,number>, players:Array, clips:Array}>}
+ *   players: { id, name, kind, clipBytes, clipCount, matchupBytes }
+ *   clips:   one row per clip with { store, key, size, createdAt, ownerName, meta }
+ */
+export async function computeClipUsage() {
+  const metaStores = [STORE_HITTERS, STORE_PITCHERS, STORE_SWINGS, STORE_PITCHES, STORE_MATCHUPS];
+  const [sizes, sources, meta] = await Promise.all([
+    scanClipSizes(),
+    scanClipSizes([STORE_SOURCE_VIDEOS]),
+    readStores(metaStores),
+  ]);
+
+  const byStore = Object.fromEntries(ALL_STORES.map((s) => [s, 0]));
+  for (const name of metaStores) {
+    byStore[name] = new Blob([JSON.stringify(meta[name])]).size;
+  }
+  byStore[STORE_SOURCE_VIDEOS] = sources.reduce((n, row) => n + row.size, 0);
+
+  const players = new Map();
+  const addPlayer = ({ id, name }, kind) =>
+    players.set(id, { id, name, kind, clipBytes: 0, clipCount: 0, matchupBytes: 0 });
+  meta[STORE_HITTERS].forEach((h) => addPlayer(h, "hitter"));
+  meta[STORE_PITCHERS].forEach((p) => addPlayer(p, "pitcher"));
+
+  const metaByKey = {
+    [STORE_SWING_CLIPS]: new Map(meta[STORE_SWINGS].map((m) => [m.videoKey, m])),
+    [STORE_PITCH_CLIPS]: new Map(meta[STORE_PITCHES].map((m) => [m.videoKey, m])),
+    [STORE_MATCHUP_CLIPS]: new Map(meta[STORE_MATCHUPS].map((m) => [m.videoKey, m])),
+  };
+
+  const clips = sizes.map((row) => {
+    byStore[row.store] += row.size;
+    const m = metaByKey[row.store].get(row.key) || null;
+    if (row.store === STORE_MATCHUP_CLIPS) {
+      // A matchup belongs to both sides; it's counted under each.
+      for (const id of [m?.hitterId, m?.pitcherId]) {
+        if (players.has(id)) players.get(id).matchupBytes += row.size;
+      }
+      const ownerName = m ? `${m.hitterName} vs ${m.pitcherName}` : "";
+      return { ...row, ownerName, meta: m };
+    }
+    const owner = players.get(m?.hitterId ?? m?.pitcherId);
+    if (owner) {
+      owner.clipBytes += row.size;
+      owner.clipCount++;
+    }
+    return { ...row, ownerName: owner?.name || "", meta: m };
+  });
+
+  return {
+    byStore,
+    players: [...players.values()].sort(
+      (a, b) => b.clipBytes + b.matchupBytes - (a.clipBytes + a.matchupBytes)
+    ),
+    clips: clips.sort((a, b) => b.size - a.size),
+  };
+}
+
+/* ---------- SHRINK ---------- */
+// Above this rate the real-time recording fallback can't keep every frame.
+const MAX_RECORDED_SHRINK_FPS = 30;
+
+// Re-encodes the clip at a lower bitrate. WebCodecs keeps every frame and its timing
+// (high-speed clips stay high-speed); otherwise the clip is played into a canvas and
+// recorded again in real time, with its sound routed through Web Audio into the
+// recording (and not to the speakers).
+export async function reencodeBlob(
+  blob,
+  videoBitsPerSecond = REENCODE_BITRATE,
+  fps = DEFAULT_FPS
+) {
+  if (supportsWebCodecs()) {
+    return extractTimeRange(blob, 0, Infinity, { fps, bitrate: videoBitsPerSecond });
+  }
+  if (typeof AudioContext === "undefined") {
+    throw new Error("This browser can't re-encode clips without losing their audio.");
+  }
+  const video = document.createElement("video");
+  video.src = URL.createObjectURL(blob);
+  video.playsInline = true;
+  await new Promise((resolve, reject) => {
+    video.onloadeddata = resolve;
+    video.onerror = () => reject(new Error("Clip could not be decoded."));
+  });
+
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const ctx = canvas.getContext("2d");
+
+  // A muted element feeds Web Audio silence, so the element stays unmuted and is simply
+  // never connected to the speakers.
+  const audioCtx = new AudioContext();
+  const sound = audioCtx.createMediaStreamDestination();
+  audioCtx.createMediaElementSource(video).connect(sound);
+  const stream = new MediaStream([
+    ...canvas.captureStream(fps).getVideoTracks(),
+    ...sound.stream.getAudioTracks(),
+  ]);
+
+  const mimeType =
+    ["video/mp4;codecs=avc1.42E01E,mp4a.40.2", "video/webm;codecs=vp9,opus"].find((m) =>
+      MediaRecorder.isTypeSupported(m)
+    ) || "video/webm";
+  const chunks = [];
+  const rec = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+  rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise((r) => (rec.onstop = r));
+
+  const draw = () => {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    if (!video.ended) requestAnimationFrame(draw);
+  };
+
+  rec.start();
+  await video.play();
+  requestAnimationFrame(draw);
+  await new Promise((r) => (video.onended = r));
+  rec.stop();
+  await stopped;
+  audioCtx.close();
+  URL.revokeObjectURL(video.src);
+
+  return new Blob(chunks, { type: mimeType });
+}
+
+/**
+ * Re-encode one stored clip; keeps the original if the new one isn't smaller. High
+ * frame rate clips are skipped (`skipped: true`) when only the real-time recorder is
+ * available, since it would drop frames out from under the record's frame tags.
+ * @returns {Promise<{before:number, after:number, replaced:boolean, skipped?:boolean}>}
+ */
+export async function shrinkClip(storeName, key, videoBitsPerSecond = REENCODE_BITRATE) {
+  const original = await getClipBlob(storeName, key);
+  if (!original) throw new Error(`Clip ${key} not found.`);
+  const unchanged = { before: original.size, after: original.size, replaced: false };
+  // Matchup records don't store a frame rate; read it from the file.
+  const meta = await getClipMeta(storeName, key);
+  const fps = meta?.fps ? recordFps(meta) : (await detectFrameRate(original)) || DEFAULT_FPS;
+  if (!supportsWebCodecs() && fps > MAX_RECORDED_SHRINK_FPS) return { ...unchanged, skipped: true };
+  const smaller = await reencodeBlob(original, videoBitsPerSecond, fps);
+  if (smaller.size < 512 || smaller.size >= original.size) return unchanged;
+  await replaceClipBytes(storeName, key, smaller);
+  return { before: original.size, after: smaller.size, replaced: true };
+}
@@ -0,0 +1,170 @@
+// src/utils/zipArchive.js
+/* =====================================================================================
+   Minimal ZIP writer/reader (STORE method only)
+   -------------------------------------------------------------------------------------
+   Clips are already compressed video, so deflate would only cost time. Entries are
+   written uncompressed with CRC-32 + UTF-8 names, which every unzip tool can open.
+   Entry data stays in Blobs and CRCs are computed from their streams, so a library
+   export never holds more than one chunk of video in memory at a time.
+   The reader only understands archives written this way (method 0, no ZIP64).
+   ===================================================================================== */
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const MAX_ZIP32 = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crcUpdate(crc, bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+async function blobCrc32(blob) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = crcUpdate(crc, value);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day =
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+function toBlob(data) {
+  if (data instanceof Blob) return data;
+  if (data instanceof Uint8Array || data instanceof ArrayBuffer || typeof data === "string") {
+    return new Blob([data]);
+  }
+  throw new Error("zipArchive: unsupported entry data");
+}
+
+/**
+ * Build a ZIP archive.
+ * @param {{name:string, data:Uint8Array|ArrayBuffer|Blob|string}[]} entries
+ * @returns {Promise<Blob>} application/zip
+ */
+export async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = toBlob(entry.data);
+    const crc = await blobCrc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, SIG_LOCAL, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.size, true);
+    local.setUint32(22, data.size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, SIG_CENTRAL, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, FLAG_UTF8, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, day, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.size, true);
+    header.setUint32(24, data.size, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+
+    parts.push(local, name, data);
+    offset += 30 + name.length + data.size;
+    if (offset > MAX_ZIP32) throw new Error("Archive is larger than 4 GB.");
+  }
+
+  const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, SIG_END, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
+
+/**
+ * Read a ZIP archive written by createZip.
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, Blob>>} entry name → bytes (lazy Blob slices)
+ */
+export async function readZip(blob) {
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+  let endAt = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === SIG_END) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt < 0) throw new Error("Not a ZIP archive.");
+
+  const count = tail.getUint16(endAt + 10, true);
+  const centralSize = tail.getUint32(endAt + 12, true);
+  const centralOffset = tail.getUint32(endAt + 16, true);
+  const dir = new DataView(
+    await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer()
+  );
+
+  const decoder = new TextDecoder();
+  const out = new Map();
+  let p = 0;
+  for (let i = 0; i < count; i++) {
+    if (dir.getUint32(p, true) !== SIG_CENTRAL) throw new Error("Corrupt ZIP directory.");
+    const method = dir.getUint16(p + 10, true);
+    const size = dir.getUint32(p + 20, true);
+    const nameLen = dir.getUint16(p + 28, true);
+    const extraLen = dir.getUint16(p + 30, true);
+    const commentLen = dir.getUint16(p + 32, true);
+    const localOffset = dir.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, p + 46, nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (method !== 0) throw new Error(`Unsupported compression for "${name}".`);
+
+    const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    if (local.getUint32(0, true) !== SIG_LOCAL) throw new Error("Corrupt ZIP entry.");
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    out.set(name, blob.slice(dataStart, dataStart + size));
+  }
+  return out;
+}